@@ -1,71 +1,162 @@
-const CACHE_NAME = 'solar-symmetry-v1';
+// APP_VERSION names the precache, so every release installs a fresh copy of the app shell
+importScripts('/src/version.js');
+
+const CACHE_PREFIX = 'solar-symmetry-';
+const CACHE_NAME = `${CACHE_PREFIX}v${APP_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`; // API and CDN responses, kept across releases
+const MAX_RUNTIME_ENTRIES = 200;
+
 const urlsToCache = [
   '/',
   '/index.html',
+  '/manifest.json',
+  '/icon.svg',
+  '/src/version.js',
   '/src/styles/main.css',
+  '/src/styles/main-mobile-fix.css',
   '/src/scripts/app.js',
+  '/src/scripts/pull-to-refresh.js',
+  '/src/scripts/update-notifier.js',
+  '/src/scripts/year-overview.js',
+  '/src/scripts/daylight-chart.js',
+  '/src/scripts/sun-path.js',
   '/src/clients/geocoding.js',
   '/src/clients/twilight.js',
-  '/src/utils/date-calculations.js'
+  '/src/utils/date-calculations.js',
+  '/src/utils/persistent-cache.js',
+  '/src/utils/solar-position.js',
+  '/src/utils/lunar-position.js',
+  '/src/utils/url-state.js',
+  '/src/utils/cross-mirror.js',
+  '/src/utils/day-search.js',
+  '/src/utils/ics-export.js',
+  '/src/utils/table-export.js',
+  '/src/vendor/tz-lookup.js'
+];
+
+// Third-party scripts loaded by index.html - fetched on install so the first offline visit works
+const cdnAssets = [
+  'https://unpkg.com/lucide@latest/dist/umd/lucide.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/animejs/3.2.2/anime.min.js'
+];
+
+// Cross-origin hosts served stale-while-revalidate from the runtime cache
+const runtimeHosts = [
+  'api.sunrise-sunset.org',
+  'nominatim.openstreetmap.org',
+  'unpkg.com',
+  'cdnjs.cloudflare.com'
 ];
 
 // Install service worker and cache files
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+    Promise.all([
+      caches.open(CACHE_NAME).then((cache) => cache.addAll(urlsToCache)),
+      // CDN assets are best effort: an unreachable CDN must not block the install
+      caches.open(RUNTIME_CACHE).then((cache) => Promise.all(
+        cdnAssets.map((url) => {
+          const request = new Request(url, { mode: 'no-cors' });
+          return fetch(request)
+            .then((response) => cache.put(request, response))
+            .catch((error) => console.log('Could not precache', url, error));
+        })
+      ))
+    ])
   );
 });
 
-// Fetch from cache, fallback to network
+// App shell from the versioned precache; APIs and CDNs stale-while-revalidate
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-        
-        // Clone the request
-        const fetchRequest = event.request.clone();
-        
-        return fetch(fetchRequest).then((response) => {
-          // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
-          
-          // Clone the response
-          const responseToCache = response.clone();
-          
-          caches.open(CACHE_NAME)
-            .then((cache) => {
-              cache.put(event.request, responseToCache);
-            });
-          
-          return response;
-        });
-      })
-  );
+  if (event.request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(event.request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(fromPrecache(event.request));
+  } else if (runtimeHosts.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+  }
 });
 
-// Clean up old caches
+// Clean up caches from older versions (the runtime cache is kept), then take
+// control of open pages so they stop using the old version's assets
 self.addEventListener('activate', (event) => {
-  const cacheWhitelist = [CACHE_NAME];
-  
+  const cacheWhitelist = [CACHE_NAME, RUNTIME_CACHE];
+
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheWhitelist.indexOf(cacheName) === -1) {
+          if (cacheName.startsWith(CACHE_PREFIX) && cacheWhitelist.indexOf(cacheName) === -1) {
             return caches.delete(cacheName);
           }
         })
       );
-    })
+    }).then(() => self.clients.claim())
   );
 });
+
+// Messages from the page (see update-notifier.js)
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+
+  if (type === 'SKIP_WAITING') {
+    // The user accepted the update: activate now instead of after every tab closes
+    self.skipWaiting();
+  } else if (type === 'GET_VERSION' && event.ports[0]) {
+    event.ports[0].postMessage({ version: APP_VERSION });
+  }
+});
+
+// Serve same-origin files from the precache, falling back to the network.
+// Page navigations carry the shareable state in the query string, so they match the cached shell.
+function fromPrecache(request) {
+  const isNavigation = request.mode === 'navigate';
+
+  return caches.open(CACHE_NAME).then((cache) => {
+    return cache.match(isNavigation ? '/index.html' : request, { ignoreSearch: isNavigation })
+      .then((cached) => cached || fetch(request).then((response) => {
+        if (response && response.status === 200 && response.type === 'basic') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      }));
+  });
+}
+
+// Answer from the cache straight away and refresh the entry in the background;
+// without a cached copy, wait for the network.
+function staleWhileRevalidate(event, cacheName) {
+  return caches.open(cacheName).then((cache) => {
+    return cache.match(event.request).then((cached) => {
+      const network = fetch(event.request)
+        .then((response) => {
+          // Opaque (no-cors) CDN responses can't be inspected but are safe to reuse
+          if (response && (response.ok || response.type === 'opaque')) {
+            return cache.put(event.request, response.clone())
+              .then(() => trimCache(cache, MAX_RUNTIME_ENTRIES))
+              .then(() => response);
+          }
+          return response;
+        });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {})); // Offline: keep the stale copy
+        return cached;
+      }
+
+      return network;
+    });
+  });
+}
+
+// Drop the oldest entries once the cache grows beyond its limit
+function trimCache(cache, maxEntries) {
+  return cache.keys().then((keys) => {
+    const excess = keys.length - maxEntries;
+    return Promise.all(keys.slice(0, Math.max(excess, 0)).map((key) => cache.delete(key)));
+  });
+}
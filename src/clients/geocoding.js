@@ -7,6 +7,11 @@ class GeocodingClient {
     constructor() {
         this.baseUrl = 'https://nominatim.openstreetmap.org';
         this.cache = new Map();
+        this.maxCacheAge = 7 * 24 * 60 * 60 * 1000; // Place names rarely change: 7 days
+        this.persistentCache = new PersistentCache('geocoding', {
+            maxAge: this.maxCacheAge,
+            maxEntries: 200
+        });
         this.debounceTimer = null;
         this.debounceDelay = 300; // ms
     }
@@ -27,6 +32,12 @@ class GeocodingClient {
             return this.cache.get(cacheKey);
         }
 
+        const stored = await this.persistentCache.get('search', cacheKey);
+        if (stored) {
+            this.cache.set(cacheKey, stored.data);
+            return stored.data;
+        }
+
         try {
             const url = new URL('/search', this.baseUrl);
             url.searchParams.set('q', query);
@@ -63,6 +74,7 @@ class GeocodingClient {
 
             // Cache the results
             this.cache.set(cacheKey, locations);
+            this.persistentCache.set('search', cacheKey, locations);
 
             return locations;
         } catch (error) {
@@ -171,6 +183,12 @@ class GeocodingClient {
      * @returns {Promise<string>} - Location name
      */
     async reverseGeocode(lat, lng) {
+        const cacheKey = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+        const stored = await this.persistentCache.get('reverse', cacheKey);
+        if (stored) {
+            return stored.data;
+        }
+
         try {
             const url = new URL('/reverse', this.baseUrl);
             url.searchParams.set('lat', lat.toString());
@@ -189,7 +207,9 @@ class GeocodingClient {
             }
 
             const data = await response.json();
-            return this.formatLocationName(data);
+            const name = this.formatLocationName(data);
+            this.persistentCache.set('reverse', cacheKey, name);
+            return name;
         } catch (error) {
             console.error('Reverse geocoding failed:', error);
             return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
@@ -197,10 +217,20 @@ class GeocodingClient {
     }
 
     /**
-     * Clear the search cache
+     * Clear the search cache, in memory and persistent
+     * @returns {Promise<void>}
      */
     clearCache() {
         this.cache.clear();
+        return this.persistentCache.clear();
+    }
+
+    /**
+     * Get persistent cache statistics
+     * @returns {Promise<Object>} - Entries per namespace ('search', 'reverse'), oldest/newest timestamps and limits
+     */
+    getPersistentCacheStats() {
+        return this.persistentCache.getStats();
     }
 
     /**
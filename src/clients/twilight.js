@@ -1,13 +1,29 @@
 /**
- * Twilight API Client
- * Handles fetching civil twilight times (dawn/dusk) from sunrise-sunset.org API
+ * Twilight Client
+ * Computes civil twilight times (dawn/dusk) offline with the local solar engine,
+ * optionally fetching or cross-checking them against the sunrise-sunset.org API
  */
 
 class TwilightClient {
-    constructor() {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.source - 'local' (offline engine, default) or 'api' (sunrise-sunset.org)
+     * @param {boolean} options.crossCheck - Compare local results against the API and log differences
+     */
+    constructor(options = {}) {
         this.baseUrl = 'https://api.sunrise-sunset.org/json';
+        this.solar = new SolarCalculator();
+        this.lunar = new LunarCalculator();
+        this.source = options.source || 'local';
+        this.crossCheck = options.crossCheck || false;
+        this.crossCheckTolerance = 2; // minutes
         this.cache = new Map();
+        this.timezoneCache = new Map();
         this.maxCacheAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+        this.persistentCache = new PersistentCache('twilight', {
+            maxAge: this.maxCacheAge,
+            maxEntries: 5000 // About a dozen location-years
+        });
     }
 
     /**
@@ -30,35 +46,40 @@ class TwilightClient {
             }
         }
 
-        try {
-            const url = new URL(this.baseUrl);
-            url.searchParams.set('lat', lat.toString());
-            url.searchParams.set('lng', lng.toString());
-            url.searchParams.set('date', this.formatDateForAPI(date));
-            url.searchParams.set('formatted', '0'); // Get ISO format times
-
-            const response = await fetch(url.toString());
-
-            if (!response.ok) {
-                if (response.status === 429) {
-                    throw new Error('API rate limit reached - please wait a few minutes');
-                }
-                throw new Error(`HTTP error! status: ${response.status}`);
+        // API results also go in the persistent cache, which survives reloads and works offline.
+        // Local results are cheaper to recompute than to read back from IndexedDB.
+        const usePersistentCache = this.persistsSunTimes();
+        const namespace = this.getCacheNamespace(lat, lng);
+        const dateKey = this.formatDateForAPI(date);
+        if (usePersistentCache) {
+            const stored = await this.persistentCache.get(namespace, dateKey);
+            if (stored) {
+                this.cache.set(cacheKey, stored);
+                return stored.data;
             }
+        }
 
-            const data = await response.json();
+        try {
+            const results = this.source === 'api'
+                ? await this.fetchApiResults(date, lat, lng)
+                : this.solar.getSunTimes(date, lat, lng);
 
-            if (data.status !== 'OK') {
-                throw new Error(`API error: ${data.status}`);
+            if (this.crossCheck && this.source !== 'api') {
+                this.crossCheckWithApi(date, lat, lng, results);
             }
 
-            const twilightData = this.processTwilightData(data.results, date, lat, lng);
+            const twilightData = this.processTwilightData(results, date, lat, lng);
             
             // Cache the result
             this.cache.set(cacheKey, {
                 data: twilightData,
                 timestamp: Date.now()
             });
+            // Times formatted in the nautical fallback zone are wrong wherever DST or a
+            // half-hour offset applies, so they are only kept for this session
+            if (usePersistentCache && this.hasResolvedTimezone(lat, lng)) {
+                this.persistentCache.set(namespace, dateKey, twilightData);
+            }
 
             return twilightData;
         } catch (error) {
@@ -76,6 +97,68 @@ class TwilightClient {
         }
     }
 
+    /**
+     * Fetch raw sun times from the sunrise-sunset.org API
+     * @param {Date} date - The date to get twilight times for
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Promise<Object>} - Raw API results
+     */
+    async fetchApiResults(date, lat, lng) {
+        const url = new URL(this.baseUrl);
+        url.searchParams.set('lat', lat.toString());
+        url.searchParams.set('lng', lng.toString());
+        url.searchParams.set('date', this.formatDateForAPI(date));
+        url.searchParams.set('formatted', '0'); // Get ISO format times
+
+        const response = await fetch(url.toString());
+
+        if (!response.ok) {
+            if (response.status === 429) {
+                throw new Error('API rate limit reached - please wait a few minutes');
+            }
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (data.status !== 'OK') {
+            throw new Error(`API error: ${data.status}`);
+        }
+
+        return data.results;
+    }
+
+    /**
+     * Compare locally computed times against the API and log any disagreement
+     * @param {Date} date - The date being checked
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} localResults - Results from the solar engine
+     * @returns {Promise<Array>} - List of fields that differ beyond the tolerance
+     */
+    async crossCheckWithApi(date, lat, lng, localResults) {
+        const fields = ['civil_twilight_begin', 'sunrise', 'sunset', 'civil_twilight_end'];
+
+        try {
+            const apiResults = await this.fetchApiResults(date, lat, lng);
+            const mismatches = fields.filter(field => {
+                if (!localResults[field] || !apiResults[field]) return false;
+                const diffMinutes = Math.abs(new Date(localResults[field]) - new Date(apiResults[field])) / 60000;
+                return diffMinutes > this.crossCheckTolerance;
+            });
+
+            if (mismatches.length > 0) {
+                console.warn(`Cross-check mismatch for ${this.formatDateForAPI(date)}:`, mismatches);
+            }
+
+            return mismatches;
+        } catch (error) {
+            console.warn('Cross-check against API failed:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Get twilight times for multiple dates (batch processing with intelligent deduplication)
      * @param {Array<Date>} dates - Array of dates
@@ -104,12 +187,16 @@ class TwilightClient {
         });
         
         const uniqueDates = Array.from(uniqueDateMap.values()).map(item => item.date);
-        console.log(`Batch request: ${dates.length} dates → ${uniqueDates.length} unique API calls`);
+        const isRemote = this.source === 'api';
+        
+        if (isRemote) {
+            console.log(`Batch request: ${dates.length} dates → ${uniqueDates.length} unique API calls`);
+        }
         
         try {
-            // Process unique dates with rate limiting
+            // Process unique dates, rate limiting only when hitting the API
             const results = [];
-            const batchSize = 2; // Reduce to 2 concurrent requests
+            const batchSize = isRemote ? 2 : uniqueDates.length; // Reduce to 2 concurrent requests
             
             for (let i = 0; i < uniqueDates.length; i += batchSize) {
                 const batch = uniqueDates.slice(i, i + batchSize);
@@ -121,7 +208,7 @@ class TwilightClient {
                 results.push(...batchResults);
                 
                 // Longer delay between batches to be extra API-friendly
-                if (i + batchSize < uniqueDates.length) {
+                if (isRemote && i + batchSize < uniqueDates.length) {
                     await new Promise(resolve => setTimeout(resolve, 200));
                 }
             }
@@ -155,8 +242,8 @@ class TwilightClient {
     }
 
     /**
-     * Process raw API data into our format
-     * @param {Object} results - Raw API results
+     * Process raw sun times (API or local engine) into our format
+     * @param {Object} results - Raw results in sunrise-sunset.org shape
      * @param {Date} date - The date for timezone context
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
@@ -164,35 +251,54 @@ class TwilightClient {
      */
     processTwilightData(results, date, lat, lng) {
         try {
-            // The API returns UTC times, we need to convert to local timezone
-            const dawn = new Date(results.civil_twilight_begin);
-            const dusk = new Date(results.civil_twilight_end);
-            const sunrise = new Date(results.sunrise);
-            const sunset = new Date(results.sunset);
-
             // Get the timezone for this location
             const timezone = this.getTimezoneForCoordinates(lat, lng);
 
-            // Calculate golden hour times
-            const goldenHourMorningStart = new Date(sunrise.getTime());
-            const goldenHourMorningEnd = new Date(sunrise.getTime() + (60 * 60 * 1000)); // 1 hour after sunrise
-            
-            const goldenHourEveningStart = new Date(sunset.getTime() - (60 * 60 * 1000)); // 1 hour before sunset
-            const goldenHourEveningEnd = new Date(sunset.getTime());
+            // The API returns UTC times, we need to convert to local timezone.
+            // Events that don't happen (polar day/night) come back with an explicit state.
+            const sun = this.getTwilightTier(results, 'sun', date, lat, lng, timezone);
+            const civil = this.getTwilightTier(results, 'civil', date, lat, lng, timezone);
+            const nautical = this.getTwilightTier(results, 'nautical', date, lat, lng, timezone);
+            const astronomical = this.getTwilightTier(results, 'astronomical', date, lat, lng, timezone);
+
+            const dayLength = this.getDayLength(results, sun);
+
+            // Photography windows by sun elevation: golden hour -4° to +6°, blue hour -6° to -4°
+            const goldenHour = this.getPhotoWindow('goldenHour', date, lat, lng, this.solar.ALTITUDES.blueHour, this.solar.ALTITUDES.goldenHour, timezone);
+            const blueHour = this.getPhotoWindow('blueHour', date, lat, lng, this.solar.ALTITUDES.civil, this.solar.ALTITUDES.blueHour, timezone);
 
             return {
-                dawn: this.formatTimeForTimezone(dawn, timezone),
-                dusk: this.formatTimeForTimezone(dusk, timezone),
-                sunrise: this.formatTimeForTimezone(sunrise, timezone),
-                sunset: this.formatTimeForTimezone(sunset, timezone),
-                goldenHourMorningStart: this.formatTimeForTimezone(goldenHourMorningStart, timezone),
-                goldenHourMorningEnd: this.formatTimeForTimezone(goldenHourMorningEnd, timezone),
-                goldenHourEveningStart: this.formatTimeForTimezone(goldenHourEveningStart, timezone),
-                goldenHourEveningEnd: this.formatTimeForTimezone(goldenHourEveningEnd, timezone),
-                dawnISO: dawn.toISOString(),
-                duskISO: dusk.toISOString(),
-                sunriseISO: sunrise.toISOString(),
-                sunsetISO: sunset.toISOString()
+                dawn: civil.rise,
+                dusk: civil.set,
+                sunrise: sun.rise,
+                sunset: sun.set,
+                ...goldenHour,
+                ...blueHour,
+                ...this.getMoonPhaseData(date, lng),
+                ...this.getSunGeometry(date, lat, lng, sun, timezone),
+                dawnISO: civil.riseISO,
+                duskISO: civil.setISO,
+                sunriseISO: sun.riseISO,
+                sunsetISO: sun.setISO,
+                nauticalDawn: nautical.rise,
+                nauticalDusk: nautical.set,
+                nauticalDawnISO: nautical.riseISO,
+                nauticalDuskISO: nautical.setISO,
+                nauticalState: nautical.state,
+                astronomicalDawn: astronomical.rise,
+                astronomicalDusk: astronomical.set,
+                astronomicalDawnISO: astronomical.riseISO,
+                astronomicalDuskISO: astronomical.setISO,
+                astronomicalState: astronomical.state,
+                sunState: sun.state,
+                civilState: civil.state,
+                lightState: this.getLightState(sun.state, civil.state),
+                dayLength, // seconds
+                civilTwilightLength: this.getCivilTwilightLength(sun, civil, dayLength), // seconds
+                dayLengthDelta: this.getDayLengthDelta(date, lat, lng), // seconds vs. the day before
+                timezone,
+                lat,
+                lng
             };
         } catch (error) {
             console.error('Error processing twilight data:', error);
@@ -207,12 +313,304 @@ class TwilightClient {
     }
 
     /**
-     * Format date for API request (YYYY-MM-DD)
+     * Get the rise and set times the sun crosses one altitude tier
+     * When the tier has no times, the local engine tells us why: the sun either
+     * never gets that far down ('above' - e.g. midnight sun, twilight all night)
+     * or never climbs that high ('below' - e.g. polar night).
+     * @param {Object} results - Raw results in sunrise-sunset.org shape
+     * @param {string} tier - 'sun' (sunrise/sunset), 'civil', 'nautical' or 'astronomical'
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {string} timezone - IANA timezone for formatting
+     * @returns {Object} - { rise, set, riseISO, setISO, state }
+     */
+    getTwilightTier(results, tier, date, lat, lng, timezone) {
+        const [riseKey, setKey] = tier === 'sun'
+            ? ['sunrise', 'sunset']
+            : [`${tier}_twilight_begin`, `${tier}_twilight_end`];
+        const rise = this.parseEventTime(results[riseKey]);
+        const set = this.parseEventTime(results[setKey]);
+
+        if (rise && set) {
+            return {
+                rise: this.formatTimeForTimezone(rise, timezone),
+                set: this.formatTimeForTimezone(set, timezone),
+                riseISO: rise.toISOString(),
+                setISO: set.toISOString(),
+                state: 'normal'
+            };
+        }
+
+        const altitude = this.solar.ALTITUDES[tier === 'sun' ? 'sunrise' : tier];
+        const { state } = this.solar.getTimesForAltitude(date, lat, lng, altitude);
+
+        return { rise: 'N/A', set: 'N/A', riseISO: null, setISO: null, state };
+    }
+
+    /**
+     * Get a photography window (golden or blue hour) as flat, formatted fields
+     * Open ends (a window running through midnight) are formatted as '…'.
+     * @param {string} prefix - Field prefix, e.g. 'goldenHour'
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} lower - Lower sun altitude in degrees
+     * @param {number} upper - Upper sun altitude in degrees
+     * @param {string} timezone - IANA timezone for formatting
+     * @returns {Object} - e.g. { goldenHourState, goldenHourMorningStart, goldenHourMorningStartISO, ... }
+     */
+    getPhotoWindow(prefix, date, lat, lng, lower, upper, timezone) {
+        const span = this.solar.getAltitudeWindow(date, lat, lng, lower, upper);
+        const fields = { [`${prefix}State`]: span.state };
+
+        ['morningStart', 'morningEnd', 'eveningStart', 'eveningEnd'].forEach(key => {
+            const name = prefix + key.charAt(0).toUpperCase() + key.slice(1);
+            const time = span[key];
+
+            fields[name] = time ? this.formatTimeForTimezone(time, timezone) : (span.state === 'none' ? 'N/A' : '…');
+            fields[`${name}ISO`] = time ? time.toISOString() : null;
+        });
+
+        return fields;
+    }
+
+    /**
+     * Get where the sun is: solar noon, its elevation then, and the rise/set azimuths
+     * Mirror dates share these values, which is what makes them geometrically the same day.
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} sun - Sunrise/sunset tier from getTwilightTier
+     * @param {string} timezone - IANA timezone for formatting
+     * @returns {Object} - { solarNoon, solarNoonISO, maxElevation, sunriseAzimuth, sunsetAzimuth } (degrees; azimuths null without a sunrise/sunset)
+     */
+    getSunGeometry(date, lat, lng, sun, timezone) {
+        const solarNoon = this.solar.getSolarNoon(date, lng);
+        const azimuthAt = (iso) => iso ? this.solar.getSolarPosition(new Date(iso), lat, lng).azimuth : null;
+
+        return {
+            solarNoon: this.formatTimeForTimezone(solarNoon, timezone),
+            solarNoonISO: solarNoon.toISOString(),
+            maxElevation: this.solar.getSolarPosition(solarNoon, lat, lng).elevation,
+            sunriseAzimuth: azimuthAt(sun.riseISO),
+            sunsetAzimuth: azimuthAt(sun.setISO)
+        };
+    }
+
+    /**
+     * Sample the sun's track across the sky, from 12 hours before to 12 hours after solar noon
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} stepMinutes - Sampling interval
+     * @returns {Array} - Points of { time, elevation, azimuth }
+     */
+    getSunPath(date, lat, lng, stepMinutes = 10) {
+        const solarNoon = this.solar.getSolarNoon(date, lng).getTime();
+        const step = stepMinutes * this.solar.MS_PER_MINUTE;
+        const path = [];
+
+        for (let time = solarNoon - 12 * 60 * this.solar.MS_PER_MINUTE; time <= solarNoon + 12 * 60 * this.solar.MS_PER_MINUTE; time += step) {
+            path.push({ time: new Date(time), ...this.solar.getSolarPosition(new Date(time), lat, lng) });
+        }
+
+        return path;
+    }
+
+    /**
+     * Get moon phase and illumination for a calendar day (at solar noon)
+     * Always computed with the local lunar engine (the sunrise-sunset.org API is sun-only).
+     * @param {Date} date - The date
+     * @param {number} lng - Longitude
+     * @returns {Object} - { moonPhase, moonPhaseName, moonIllumination }
+     */
+    getMoonPhaseData(date, lng) {
+        const phase = this.lunar.getMoonPhase(this.solar.getSolarNoon(date, lng));
+
+        return {
+            moonPhase: phase.phase,
+            moonPhaseName: phase.name,
+            moonIllumination: phase.illumination
+        };
+    }
+
+    /**
+     * Add moonrise and moonset to a day's twilight data, once
+     * They take a scan of the whole day, so they are only computed where the moon row is
+     * shown or exported. The object is updated in place, so cached copies keep the result.
+     * @param {Object} twilightData - From getTwilightTimes
+     * @param {Date} date - The date the data is for
+     * @returns {Object} - The same object with { moonrise, moonset, moonriseISO, moonsetISO, moonState }
+     */
+    addMoonTimes(twilightData, date) {
+        if (!twilightData || twilightData.error || twilightData.moonState !== undefined) return twilightData;
+
+        const { lat, lng, timezone } = twilightData;
+        const times = this.lunar.getMoonTimes(date, lat, lng, timezone);
+
+        return Object.assign(twilightData, {
+            moonrise: times.rise ? this.formatTimeForTimezone(times.rise, timezone) : 'N/A',
+            moonset: times.set ? this.formatTimeForTimezone(times.set, timezone) : 'N/A',
+            moonriseISO: times.rise ? times.rise.toISOString() : null,
+            moonsetISO: times.set ? times.set.toISOString() : null,
+            moonState: times.state
+        });
+    }
+
+    /**
+     * Summarise the day for polar latitudes
+     * @param {string} sunState - State of the sunrise/sunset tier
+     * @param {string} civilState - State of the civil twilight tier
+     * @returns {string} - 'normal', 'midnightSun' (sun never sets), 'polarNight'
+     *                     (sun never rises) or 'whiteNight' (twilight lasts all night)
+     */
+    getLightState(sunState, civilState) {
+        if (sunState === 'above') return 'midnightSun';
+        if (sunState === 'below') return 'polarNight';
+        if (civilState === 'above') return 'whiteNight';
+        return 'normal';
+    }
+
+    /**
+     * Get the time spent in civil twilight in seconds: dawn to sunrise plus sunset to dusk
+     * @param {Object} sun - Sunrise/sunset tier from getTwilightTier
+     * @param {Object} civil - Civil twilight tier from getTwilightTier
+     * @param {number|null} dayLength - Day length in seconds
+     * @returns {number|null} - Seconds of civil twilight
+     */
+    getCivilTwilightLength(sun, civil, dayLength) {
+        const span = (from, to) => Math.round((new Date(to) - new Date(from)) / 1000);
+
+        if (sun.state === 'above' || civil.state === 'below') return 0;
+        if (civil.state === 'above') return dayLength === null ? null : 24 * 60 * 60 - dayLength; // The whole night
+        if (sun.state === 'below') return span(civil.riseISO, civil.setISO); // Twilight around noon only
+        if (!sun.riseISO || !sun.setISO) return null;
+
+        return span(civil.riseISO, sun.riseISO) + span(sun.setISO, civil.setISO);
+    }
+
+    /**
+     * Get the day length in seconds, including 24h midnight sun and 0h polar night
+     * @param {Object} results - Raw results in sunrise-sunset.org shape
+     * @param {Object} sun - Sunrise/sunset tier from getTwilightTier
+     * @returns {number|null} - Seconds of daylight
+     */
+    getDayLength(results, sun) {
+        if (sun.state === 'above') return 24 * 60 * 60;
+        if (sun.state === 'below') return 0;
+        if (!sun.riseISO || !sun.setISO) return null;
+
+        return results.day_length ?? Math.round((new Date(sun.setISO) - new Date(sun.riseISO)) / 1000);
+    }
+
+    /**
+     * Parse an event time, treating missing values and the API's 1970 placeholders as "no event"
+     * @param {string|null} value - ISO time string
+     * @returns {Date|null} - Event time or null
+     */
+    parseEventTime(value) {
+        if (!value) return null;
+
+        const time = new Date(value);
+        return isNaN(time) || time.getUTCFullYear() <= 1970 ? null : time;
+    }
+
+    /**
+     * Get how much longer (or shorter) a day is than the day before, in seconds
+     * Always computed with the local engine so both days come from the same model,
+     * even when the times themselves were fetched from the API.
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {number|null} - Signed difference in seconds, or null if unknown
+     */
+    getDayLengthDelta(date, lat, lng) {
+        const yesterday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+        const today = this.getLocalDayLength(date, lat, lng);
+        const previous = this.getLocalDayLength(yesterday, lat, lng);
+
+        return today === null || previous === null ? null : today - previous;
+    }
+
+    /**
+     * Day length in seconds from the local engine (24h for midnight sun, 0 for polar night)
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {number|null} - Seconds of daylight
+     */
+    getLocalDayLength(date, lat, lng) {
+        return this.getSolarDayLength(this.solar.getTimesForAltitude(date, lat, lng, this.solar.ALTITUDES.sunrise));
+    }
+
+    /**
+     * Day length and sunset from the local engine only - much cheaper than getTwilightTimes
+     * when scanning many days (e.g. matching dates across locations)
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {string} timezone - IANA timezone for the sunset time
+     * @returns {Object} - { dayLength (seconds or null), sunset ("HH:MM" or null) }
+     */
+    getLocalSunSummary(date, lat, lng, timezone) {
+        const sun = this.solar.getTimesForAltitude(date, lat, lng, this.solar.ALTITUDES.sunrise);
+
+        return {
+            dayLength: this.getSolarDayLength(sun),
+            sunset: sun.set ? this.formatTimeForTimezone(sun.set, timezone) : null
+        };
+    }
+
+    /**
+     * Get sunrise, sunset, dawn and dusk for a day from the local engine alone
+     * Much cheaper than getTwilightTimes (no moon, photography windows or sun geometry),
+     * for scans over many days.
+     * @param {Date} date - The date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} - { sunrise, sunset, dawn, dusk ('HH:MM' or 'N/A'), sunState, civilState, lightState, timezone }
+     */
+    getLocalSunEvents(date, lat, lng) {
+        const timezone = this.getTimezoneForCoordinates(lat, lng);
+        const sun = this.solar.getTimesForAltitude(date, lat, lng, this.solar.ALTITUDES.sunrise);
+        const civil = this.solar.getTimesForAltitude(date, lat, lng, this.solar.ALTITUDES.civil);
+        const format = (times, event) => times.rise && times.set ? this.formatTimeForTimezone(times[event], timezone) : 'N/A';
+
+        return {
+            sunrise: format(sun, 'rise'),
+            sunset: format(sun, 'set'),
+            dawn: format(civil, 'rise'),
+            dusk: format(civil, 'set'),
+            sunState: sun.state,
+            civilState: civil.state,
+            lightState: this.getLightState(sun.state, civil.state),
+            timezone
+        };
+    }
+
+    /**
+     * Day length in seconds from local engine sunrise/sunset times
+     * @param {Object} sun - { rise, set, state } from SolarCalculator.getTimesForAltitude
+     * @returns {number|null} - Seconds of daylight
+     */
+    getSolarDayLength(sun) {
+        if (sun.state === 'above') return 24 * 60 * 60;
+        if (sun.state === 'below') return 0;
+        if (!sun.rise || !sun.set) return null;
+
+        return Math.round((sun.set - sun.rise) / 1000);
+    }
+
+    /**
+     * Format date for API request (YYYY-MM-DD, local calendar day)
      * @param {Date} date - Date to format
      * @returns {string} - Formatted date string
      */
     formatDateForAPI(date) {
-        return date.toISOString().split('T')[0];
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
     }
 
     /**
@@ -224,57 +622,57 @@ class TwilightClient {
         return date.toLocaleTimeString('en-US', {
             hour: '2-digit',
             minute: '2-digit',
-            hour12: false
+            hourCycle: 'h23'
         });
     }
 
     /**
-     * Get timezone for coordinates using approximate timezone mapping
+     * Get the IANA timezone for coordinates using tz-lookup (vendored in src/vendor)
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
      * @returns {string} - IANA timezone identifier
      */
     getTimezoneForCoordinates(lat, lng) {
-        // Montreal is approximately 45.5°N, -73.6°W
-        // UK is approximately 51.5°N, -0.1°W
-        
-        if (lng >= -141 && lng <= -60) {
-            // North America (both USA and Canada)
-            // Atlantic timezone: east of -65°W
-            if (lng > -65) return 'America/Halifax';
-            // Eastern timezone: -65°W to -90°W (includes Montreal at -73.5°W)
-            if (lng > -90) {
-                if (lat >= 41) {
-                    return 'America/Toronto';  // Canada Eastern (includes Montreal, Toronto)
-                } else {
-                    return 'America/New_York'; // USA Eastern
-                }
-            }
-            // Central timezone: -90°W to -105°W  
-            if (lng > -105) return 'America/Chicago';
-            // Mountain timezone: -105°W to -120°W
-            if (lng > -120) return 'America/Denver';
-            // Pacific timezone: west of -120°W
-            return 'America/Los_Angeles';
+        const key = this.getCacheNamespace(lat, lng);
+        if (this.timezoneCache.has(key)) {
+            return this.timezoneCache.get(key);
         }
-        
-        if (lng >= -15 && lng <= 40 && lat >= 35) {
-            // Europe
-            if (lng <= 2) return 'Europe/London';
-            if (lng <= 15) return 'Europe/Paris';
-            if (lng <= 25) return 'Europe/Berlin';
-            return 'Europe/Moscow';
-        }
-        
-        if (lng >= 100 && lng <= 180) {
-            // Asia-Pacific
-            if (lng <= 120) return 'Asia/Shanghai';
-            if (lng <= 140) return 'Asia/Tokyo';
-            return 'Pacific/Auckland';
+
+        if (typeof window.tzlookup === 'function') {
+            try {
+                const timezone = window.tzlookup(lat, lng);
+                this.timezoneCache.set(key, timezone);
+                return timezone;
+            } catch (error) {
+                console.warn(`Timezone lookup failed for ${key}:`, error.message);
+            }
         }
-        
-        // Default fallback
-        return 'UTC';
+
+        // Lookup library failed to load or threw - use the nautical zone
+        return this.getNauticalTimezone(lng);
+    }
+
+    /**
+     * Whether the timezone for coordinates came from tz-lookup rather than the nautical fallback
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {boolean}
+     */
+    hasResolvedTimezone(lat, lng) {
+        return this.timezoneCache.has(this.getCacheNamespace(lat, lng));
+    }
+
+    /**
+     * Get the fixed-offset nautical timezone for a longitude
+     * @param {number} lng - Longitude
+     * @returns {string} - Etc/GMT timezone identifier
+     */
+    getNauticalTimezone(lng) {
+        const offset = this.getTimezoneOffset(lng);
+        if (offset === 0) return 'UTC';
+
+        // Etc/GMT zones use POSIX signs: Etc/GMT-10 is UTC+10
+        return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
     }
 
     /**
@@ -289,7 +687,7 @@ class TwilightClient {
                 timeZone: timezone,
                 hour: '2-digit',
                 minute: '2-digit',
-                hour12: false
+                hourCycle: 'h23'
             });
         } catch (error) {
             console.warn(`Invalid timezone ${timezone}, using UTC`);
@@ -297,7 +695,7 @@ class TwilightClient {
                 timeZone: 'UTC',
                 hour: '2-digit',
                 minute: '2-digit',
-                hour12: false
+                hourCycle: 'h23'
             });
         }
     }
@@ -311,12 +709,30 @@ class TwilightClient {
      */
     generateCacheKey(date, lat, lng) {
         const dateStr = this.formatDateForAPI(date);
-        const latLng = `${lat.toFixed(4)},${lng.toFixed(4)}`;
-        return `${dateStr}-${latLng}`;
+        return `${dateStr}-${this.getCacheNamespace(lat, lng)}`;
+    }
+
+    /**
+     * Whether sun times are kept in the persistent cache (only API results are)
+     * @returns {boolean}
+     */
+    persistsSunTimes() {
+        return this.source === 'api';
+    }
+
+    /**
+     * Get the persistent cache namespace for a location
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {string} - e.g. "51.5074,-0.1278"
+     */
+    getCacheNamespace(lat, lng) {
+        return `${lat.toFixed(4)},${lng.toFixed(4)}`;
     }
 
     /**
      * Clear expired cache entries
+     * @returns {Promise<number>} - Number of persistent entries removed
      */
     cleanCache() {
         const now = Date.now();
@@ -325,13 +741,17 @@ class TwilightClient {
                 this.cache.delete(key);
             }
         }
+
+        return this.persistentCache.prune();
     }
 
     /**
-     * Clear all cache entries
+     * Clear all cache entries, in memory and persistent
+     * @returns {Promise<void>}
      */
     clearCache() {
         this.cache.clear();
+        return this.persistentCache.clear();
     }
 
     /**
@@ -346,6 +766,14 @@ class TwilightClient {
         };
     }
 
+    /**
+     * Get persistent cache statistics
+     * @returns {Promise<Object>} - Entries per location namespace, oldest/newest timestamps and limits
+     */
+    getPersistentCacheStats() {
+        return this.persistentCache.getStats();
+    }
+
     /**
      * Check if twilight data is available for a location
      * @param {number} lat - Latitude
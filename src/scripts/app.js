@@ -6,22 +6,49 @@
 class SolarSymmetryApp {
     constructor() {
         this.dateCalc = new DateCalculations();
+        this.urlState = new UrlState();
         this.geocoding = new GeocodingClient();
         this.twilight = new TwilightClient();
+        this.crossMirror = new CrossMirror(this.twilight, this.dateCalc);
+        this.daySearch = new DaySearch(this.twilight, this.dateCalc);
+        this.icsExport = new IcsExport();
+        this.tableExport = new TableExport();
         
-        this.currentMonth = new Date();
+        const today = new Date();
+        this.currentMonth = new Date(today.getFullYear(), today.getMonth(), 1);
         this.currentLocation = null;
         this.isLoading = false;
         this.showGoldenHour = false; // Golden hour toggle state
+        this.showMoon = false; // Moon row toggle state
+        this.mirrorMode = 'solstice'; // Mirror axis: 'solstice' or 'equinox'
+        this.symmetryLayout = 'month'; // Symmetry layout: 'month' or 'year'
+        this.twilightTiers = ['civil']; // Twilight tiers shown on date cards
+        this.workSettings = this.loadWorkSettings(); // Light after work preferences
         
         // View mode: 'symmetry', 'cities', or 'mobileApp'
         this.currentView = 'symmetry';
+        this.isRestoringUrl = false; // Suppress URL writes while applying URL state
         
         // Cities view data
-        this.city1 = null;
-        this.city2 = null;
+        this.MAX_CITIES = 5;
+        this.cities = [];
+        this.cityCompareMode = 'times'; // 'times', differences from the first city ('local' wall clock or 'utc'), or 'match'
+        this.cityMatchBy = 'dayLength'; // What matching dates share: 'dayLength' or 'sunset'
+        
+        this.CALENDAR_MAX_DAYS = 366; // Longest range a calendar export covers
+        this.citiesData = null; // Last rendered rows, re-rendered when the compare mode changes
         
         this.initializeElements();
+        this.daylightChart = new DaylightChart(this.elements.daylightChart, this.dateCalc);
+        this.yearTwilightCache = null; // { key, promise } for the chart and year overview
+        this.yearRenderToken = 0; // Bumped per year render, so a slower older load can't draw over a newer one
+        this.monthData = null; // Last rendered symmetry month, for table export
+        this.sunPath = new SunPathDiagram(this.elements.sunPathDiagram, this.dateCalc);
+        this.yearOverview = new YearOverview(
+            this.elements.yearOverview,
+            this.dateCalc,
+            (date) => this.openMonth(date)
+        );
         this.bindEvents();
         this.initializeApp();
     }
@@ -46,20 +73,51 @@ class SolarSymmetryApp {
             symmetryContainer: document.getElementById('symmetryContainer'),
             currentDates: document.getElementById('currentDates'),
             mirroredDates: document.getElementById('mirroredDates'),
+            solsticeInfo: document.getElementById('solsticeInfo'),
+            symmetryControls: document.getElementById('symmetryControls'),
+            mirrorModeToggle: document.getElementById('mirrorModeToggle'),
+            twilightTierToggle: document.getElementById('twilightTierToggle'),
+            layoutToggle: document.getElementById('layoutToggle'),
+            symmetryGrid: document.getElementById('symmetryGrid'),
+            yearOverview: document.getElementById('yearOverview'),
+            cacheInfoBtn: document.getElementById('cacheInfoBtn'),
+            cacheModal: document.getElementById('cacheModal'),
+            cacheStats: document.getElementById('cacheStats'),
+            cacheClose: document.getElementById('cacheClose'),
+            cacheClearBtn: document.getElementById('cacheClearBtn'),
+            sunPathModal: document.getElementById('sunPathModal'),
+            sunPathTitle: document.getElementById('sunPathTitle'),
+            sunPathDiagram: document.getElementById('sunPathDiagram'),
+            sunPathClose: document.getElementById('sunPathClose'),
+            daySearchBtn: document.getElementById('daySearchBtn'),
+            daySearchModal: document.getElementById('daySearchModal'),
+            daySearchClose: document.getElementById('daySearchClose'),
+            daySearchForm: document.getElementById('daySearchForm'),
+            daySearchTarget: document.getElementById('daySearchTarget'),
+            daySearchValue: document.getElementById('daySearchValue'),
+            daySearchValueLabel: document.getElementById('daySearchValueLabel'),
+            daySearchToday: document.getElementById('daySearchToday'),
+            daySearchResults: document.getElementById('daySearchResults'),
+            calendarExportBtn: document.getElementById('calendarExportBtn'),
+            calendarModal: document.getElementById('calendarModal'),
+            calendarClose: document.getElementById('calendarClose'),
+            calendarForm: document.getElementById('calendarForm'),
+            calendarFrom: document.getElementById('calendarFrom'),
+            calendarTo: document.getElementById('calendarTo'),
+            calendarStatus: document.getElementById('calendarStatus'),
+            daylightChart: document.getElementById('daylightChart'),
             
             // Cities view elements
             citiesLocationSelector: document.getElementById('citiesLocationSelector'),
-            city1Input: document.getElementById('city1Input'),
-            city1ClearBtn: document.getElementById('city1ClearBtn'),
-            city1Dropdown: document.getElementById('city1Dropdown'),
-            city2Input: document.getElementById('city2Input'),
-            city2ClearBtn: document.getElementById('city2ClearBtn'),
-            city2Dropdown: document.getElementById('city2Dropdown'),
+            cityChips: document.getElementById('cityChips'),
+            cityInput: document.getElementById('cityInput'),
+            cityClearBtn: document.getElementById('cityClearBtn'),
+            cityDropdown: document.getElementById('cityDropdown'),
             citiesContainer: document.getElementById('citiesContainer'),
-            city1Header: document.getElementById('city1Header'),
-            city2Header: document.getElementById('city2Header'),
-            city1Dates: document.getElementById('city1Dates'),
-            city2Dates: document.getElementById('city2Dates'),
+            citiesTable: document.getElementById('citiesTable'),
+            citiesControls: document.getElementById('citiesControls'),
+            cityCompareToggle: document.getElementById('cityCompareToggle'),
+            cityMatchToggle: document.getElementById('cityMatchToggle'),
             
             // Mobile app view elements
             mobileAppContainer: document.getElementById('mobileAppContainer'),
@@ -69,10 +127,27 @@ class SolarSymmetryApp {
             prevMonth: document.getElementById('prevMonth'),
             nextMonth: document.getElementById('nextMonth'),
             goldenHourToggle: document.getElementById('goldenHourToggle'),
+            moonToggle: document.getElementById('moonToggle'),
             lightAfterWorkCard: document.getElementById('lightAfterWorkCard'),
             lightAfterWorkTitle: document.getElementById('lightAfterWorkTitle'),
             lightAfterWorkMessage: document.getElementById('lightAfterWorkMessage'),
             lightAfterWorkCountdown: document.getElementById('lightAfterWorkCountdown'),
+            lightAfterWorkDetail: document.getElementById('lightAfterWorkDetail'),
+            lightBeforeWorkCard: document.getElementById('lightBeforeWorkCard'),
+            lightBeforeWorkTitle: document.getElementById('lightBeforeWorkTitle'),
+            lightBeforeWorkMessage: document.getElementById('lightBeforeWorkMessage'),
+            lightBeforeWorkCountdown: document.getElementById('lightBeforeWorkCountdown'),
+            lightBeforeWorkDetail: document.getElementById('lightBeforeWorkDetail'),
+            morningSettingsBtn: document.getElementById('morningSettingsBtn'),
+            morningSettingsPanel: document.getElementById('morningSettingsPanel'),
+            workDepartureTime: document.getElementById('workDepartureTime'),
+            morningThreshold: document.getElementById('morningThreshold'),
+            workSettingsBtn: document.getElementById('workSettingsBtn'),
+            workSettingsPanel: document.getElementById('workSettingsPanel'),
+            workEndTime: document.getElementById('workEndTime'),
+            workCommute: document.getElementById('workCommute'),
+            workDays: document.getElementById('workDays'),
+            workThreshold: document.getElementById('workThreshold'),
             loadingIndicator: document.getElementById('loadingIndicator')
         };
         
@@ -80,11 +155,9 @@ class SolarSymmetryApp {
         this.selectedLocationIndex = -1;
         this.currentLocations = [];
         
-        // City search states
-        this.city1SelectedIndex = -1;
-        this.city1Locations = [];
-        this.city2SelectedIndex = -1;
-        this.city2Locations = [];
+        // City search state
+        this.citySelectedIndex = -1;
+        this.cityLocations = [];
     }
 
     /**
@@ -120,36 +193,20 @@ class SolarSymmetryApp {
             this.clearLocationInput();
         });
 
-        // Cities view - City 1 search
-        this.elements.city1Input.addEventListener('input', (e) => {
-            this.handleCitySearch(e.target.value, 1);
-            this.toggleClearButton(this.elements.city1ClearBtn, e.target.value);
-        });
-        
-        this.elements.city1Input.addEventListener('keydown', (e) => {
-            this.handleCityKeydown(e, 1);
-        });
-        
-        // Clear button for city 1 input
-        this.elements.city1ClearBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.clearCityInput(1);
-        });
-        
-        // Cities view - City 2 search
-        this.elements.city2Input.addEventListener('input', (e) => {
-            this.handleCitySearch(e.target.value, 2);
-            this.toggleClearButton(this.elements.city2ClearBtn, e.target.value);
+        // Cities view - add a city
+        this.elements.cityInput.addEventListener('input', (e) => {
+            this.handleCitySearch(e.target.value);
+            this.toggleClearButton(this.elements.cityClearBtn, e.target.value);
         });
         
-        this.elements.city2Input.addEventListener('keydown', (e) => {
-            this.handleCityKeydown(e, 2);
+        this.elements.cityInput.addEventListener('keydown', (e) => {
+            this.handleCityKeydown(e);
         });
         
-        // Clear button for city 2 input
-        this.elements.city2ClearBtn.addEventListener('click', (e) => {
+        // Clear button for city input
+        this.elements.cityClearBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.clearCityInput(2);
+            this.clearCityInput();
         });
 
         // Click outside to close dropdowns
@@ -160,16 +217,10 @@ class SolarSymmetryApp {
                 this.hideLocationDropdown();
             }
             
-            // Close city 1 dropdown
-            if (!this.elements.city1Input.contains(e.target) && 
-                !this.elements.city1Dropdown.contains(e.target)) {
-                this.hideCityDropdown(1);
-            }
-            
-            // Close city 2 dropdown
-            if (!this.elements.city2Input.contains(e.target) && 
-                !this.elements.city2Dropdown.contains(e.target)) {
-                this.hideCityDropdown(2);
+            // Close city dropdown
+            if (!this.elements.cityInput.contains(e.target) && 
+                !this.elements.cityDropdown.contains(e.target)) {
+                this.hideCityDropdown();
             }
         });
 
@@ -186,18 +237,188 @@ class SolarSymmetryApp {
         this.elements.goldenHourToggle.addEventListener('click', () => {
             this.toggleGoldenHour();
         });
+        
+        // Moon toggle
+        this.elements.moonToggle.addEventListener('click', () => {
+            this.toggleMoon();
+        });
+        
+        // Twilight tier selector (any combination)
+        this.elements.twilightTierToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.toggleTwilightTier(button.dataset.tier);
+            });
+        });
+        
+        // Mirror mode (solstice / equinox) selector
+        this.elements.mirrorModeToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setMirrorMode(button.dataset.mode);
+            });
+        });
+        
+        // Month / year layout selector
+        this.elements.layoutToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setSymmetryLayout(button.dataset.layout);
+            });
+        });
+        
+        // Cities times / difference selector
+        this.elements.cityCompareToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setCityCompareMode(button.dataset.compare);
+            });
+        });
+        
+        // Matching date criterion
+        this.elements.cityMatchToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setCityMatchBy(button.dataset.match);
+            });
+        });
+
+        // Light after work settings
+        this.elements.workSettingsBtn.addEventListener('click', () => {
+            this.toggleWorkSettings();
+        });
+        
+        this.elements.workSettingsPanel.addEventListener('change', () => {
+            this.saveWorkSettings();
+        });
+        
+        // Light before work settings
+        this.elements.morningSettingsBtn.addEventListener('click', () => {
+            this.toggleMorningSettings();
+        });
+        
+        this.elements.morningSettingsPanel.addEventListener('change', () => {
+            this.saveWorkSettings();
+        });
+
+        // Offline cache modal
+        this.elements.cacheInfoBtn.addEventListener('click', () => {
+            this.openCacheInfo();
+        });
+        
+        this.elements.cacheClose.addEventListener('click', () => {
+            this.elements.cacheModal.classList.add('hidden');
+        });
+        
+        this.elements.cacheModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.cacheModal) {
+                this.elements.cacheModal.classList.add('hidden');
+            }
+        });
+        
+        this.elements.cacheClearBtn.addEventListener('click', () => {
+            this.clearOfflineCache();
+        });
+
+        // Sun path modal
+        this.elements.sunPathClose.addEventListener('click', () => {
+            this.closeSunPath();
+        });
+        
+        this.elements.sunPathModal.addEventListener('click', (e) => {
+            // Clicking the backdrop (outside the dialog) closes it
+            if (e.target === this.elements.sunPathModal) {
+                this.closeSunPath();
+            }
+        });
+
+        // Find a day modal
+        this.elements.daySearchBtn.addEventListener('click', () => {
+            this.openDaySearch();
+        });
+        
+        this.elements.daySearchClose.addEventListener('click', () => {
+            this.closeDaySearch();
+        });
+        
+        this.elements.daySearchModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.daySearchModal) {
+                this.closeDaySearch();
+            }
+        });
+        
+        this.elements.daySearchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runDaySearch();
+        });
+        
+        this.elements.daySearchTarget.addEventListener('change', () => {
+            const isDayLength = this.elements.daySearchTarget.value === 'dayLength';
+            this.elements.daySearchValueLabel.textContent = isDayLength ? 'Hours : minutes' : 'Time';
+        });
+        
+        this.elements.daySearchToday.addEventListener('click', () => {
+            this.fillDaySearchFromToday();
+        });
+
+        // CSV / JSON export of the loaded table (symmetry and cities views)
+        document.querySelectorAll('.data-export-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportTable(button.dataset.format);
+            });
+        });
+
+        // Calendar export modal
+        this.elements.calendarExportBtn.addEventListener('click', () => {
+            this.openCalendarExport();
+        });
+        
+        this.elements.calendarClose.addEventListener('click', () => {
+            this.closeCalendarExport();
+        });
+        
+        this.elements.calendarModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.calendarModal) {
+                this.closeCalendarExport();
+            }
+        });
+        
+        this.elements.calendarForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportCalendar();
+        });
 
-        // Keyboard navigation for months
+        // Keyboard navigation for months (Shift + arrow jumps a year)
         document.addEventListener('keydown', (e) => {
             // Don't interfere with text input
             if (e.target.tagName === 'INPUT') return;
             
-            if (e.key === 'ArrowLeft' && this.dateCalc.canGoToPreviousMonth(this.currentMonth)) {
-                this.navigateToPreviousMonth();
-            } else if (e.key === 'ArrowRight' && this.dateCalc.canGoToNextMonth(this.currentMonth)) {
-                this.navigateToNextMonth();
+            if (!this.elements.sunPathModal.classList.contains('hidden')) {
+                if (e.key === 'Escape') this.closeSunPath();
+                return;
+            }
+            
+            if (!this.elements.cacheModal.classList.contains('hidden')) {
+                if (e.key === 'Escape') this.elements.cacheModal.classList.add('hidden');
+                return;
+            }
+            
+            if (!this.elements.daySearchModal.classList.contains('hidden')) {
+                if (e.key === 'Escape') this.closeDaySearch();
+                return;
+            }
+            
+            if (!this.elements.calendarModal.classList.contains('hidden')) {
+                if (e.key === 'Escape') this.closeCalendarExport();
+                return;
+            }
+            
+            if (e.key === 'ArrowLeft') {
+                e.shiftKey ? this.navigateToPreviousYear() : this.navigateToPreviousMonth();
+            } else if (e.key === 'ArrowRight') {
+                e.shiftKey ? this.navigateToNextYear() : this.navigateToNextMonth();
             }
         });
+        
+        // Browser back/forward steps through URL states
+        window.addEventListener('popstate', () => {
+            this.restoreFromUrl();
+        });
     }
 
     /**
@@ -205,6 +426,7 @@ class SolarSymmetryApp {
      */
     switchToView(view) {
         this.currentView = view;
+        this.updateMonthDisplay();
         
         if (view === 'symmetry') {
             // Update button states
@@ -215,6 +437,8 @@ class SolarSymmetryApp {
             // Show/hide UI elements
             this.elements.symmetryLocationSelector.classList.remove('hidden');
             this.elements.citiesLocationSelector.classList.add('hidden');
+            this.elements.symmetryControls.classList.remove('hidden');
+            this.elements.citiesControls.classList.add('hidden');
             this.elements.symmetryContainer.classList.remove('hidden');
             this.elements.citiesContainer.classList.add('hidden');
             this.elements.mobileAppContainer.classList.add('hidden');
@@ -234,12 +458,14 @@ class SolarSymmetryApp {
             // Show/hide UI elements
             this.elements.citiesLocationSelector.classList.remove('hidden');
             this.elements.symmetryLocationSelector.classList.add('hidden');
+            this.elements.symmetryControls.classList.add('hidden');
+            this.elements.citiesControls.classList.remove('hidden');
             this.elements.citiesContainer.classList.remove('hidden');
             this.elements.symmetryContainer.classList.add('hidden');
             this.elements.mobileAppContainer.classList.add('hidden');
             
             // Load data if cities are set
-            if (this.city1 && this.city2) {
+            if (this.cities.length > 0) {
                 this.loadMonthData();
             } else {
                 this.renderCitiesEmptyState();
@@ -253,10 +479,14 @@ class SolarSymmetryApp {
             // Show/hide UI elements
             this.elements.symmetryLocationSelector.classList.add('hidden');
             this.elements.citiesLocationSelector.classList.add('hidden');
+            this.elements.symmetryControls.classList.add('hidden');
+            this.elements.citiesControls.classList.add('hidden');
             this.elements.symmetryContainer.classList.add('hidden');
             this.elements.citiesContainer.classList.add('hidden');
             this.elements.mobileAppContainer.classList.remove('hidden');
         }
+        
+        this.syncUrl(true);
     }
 
     /**
@@ -269,12 +499,25 @@ class SolarSymmetryApp {
         if (this.elements.appVersion && window.APP_VERSION) {
             this.elements.appVersion.textContent = `v${window.APP_VERSION}`;
         }
+        
+        this.renderWorkSettings();
+
+        // Read the link before anything rewrites the URL
+        const urlState = this.urlState.parse(window.location.search);
+        this.isRestoringUrl = true;
 
         // Load saved locations from localStorage
         this.loadSavedLocations();
 
-        // Start in symmetry view
-        this.switchToView('symmetry');
+        // A shared link overrides whatever was saved
+        this.applyUrlState(urlState);
+
+        // Start in the linked view (symmetry by default)
+        this.switchToView(urlState.view || 'symmetry');
+        this.isRestoringUrl = false;
+        this.syncUrl();
+        
+        this.updateWorkLightCards();
     }
 
     /**
@@ -282,32 +525,30 @@ class SolarSymmetryApp {
      */
     loadSavedLocations() {
         try {
+            // Load mirror mode before any data is loaded
+            const savedMirrorMode = localStorage.getItem('solarSymmetry_mirrorMode');
+            if (savedMirrorMode) {
+                this.setMirrorMode(savedMirrorMode, false);
+            }
+            
+            // Load twilight tier selection
+            const savedTiers = localStorage.getItem('solarSymmetry_twilightTiers');
+            if (savedTiers) {
+                this.setTwilightTiers(JSON.parse(savedTiers));
+            }
+            
             // Load symmetry location
             const savedLocation = localStorage.getItem('solarSymmetry_location');
             if (savedLocation) {
-                this.currentLocation = JSON.parse(savedLocation);
-                this.elements.locationInput.value = this.currentLocation.name;
-                this.elements.locationClearBtn.classList.remove('hidden');
-                this.loadMonthData();
-                this.updateLightAfterWorkTimer();
+                this.applyLocation(JSON.parse(savedLocation));
             }
             
-            // Load city 1
-            const savedCity1 = localStorage.getItem('solarSymmetry_city1');
-            if (savedCity1) {
-                this.city1 = JSON.parse(savedCity1);
-                this.elements.city1Input.value = this.city1.name;
-                this.elements.city1ClearBtn.classList.remove('hidden');
-                this.elements.city1Header.textContent = this.city1.name;
-            }
-            
-            // Load city 2
-            const savedCity2 = localStorage.getItem('solarSymmetry_city2');
-            if (savedCity2) {
-                this.city2 = JSON.parse(savedCity2);
-                this.elements.city2Input.value = this.city2.name;
-                this.elements.city2ClearBtn.classList.remove('hidden');
-                this.elements.city2Header.textContent = this.city2.name;
+            // Load compared cities (older versions stored exactly two, as city1 and city2)
+            const savedCities = localStorage.getItem('solarSymmetry_cities');
+            if (savedCities) {
+                this.applyCities(JSON.parse(savedCities));
+            } else {
+                this.migrateSavedCities();
             }
         } catch (error) {
             console.error('Failed to load saved locations:', error);
@@ -315,22 +556,166 @@ class SolarSymmetryApp {
     }
 
     /**
-     * Save location to localStorage
+     * Show a location as the symmetry view's current location
+     * @param {Object|null} location - { name, lat, lng }, or null for no location
+     */
+    applyLocation(location) {
+        this.currentLocation = location;
+        this.elements.locationInput.value = location ? location.name : '';
+        this.elements.locationClearBtn.classList.toggle('hidden', !location);
+    }
+
+    /**
+     * Move the old city1/city2 localStorage entries into the city list
+     */
+    migrateSavedCities() {
+        const legacyKeys = ['solarSymmetry_city1', 'solarSymmetry_city2'];
+        const cities = legacyKeys
+            .map(key => localStorage.getItem(key))
+            .filter(Boolean)
+            .map(value => JSON.parse(value));
+        
+        if (cities.length === 0) return;
+        
+        this.applyCities(cities);
+        this.saveCities();
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+    }
+
+    // =================================================================
+    // URL STATE
+    // =================================================================
+
+    /**
+     * Collect the state that a shared link should reproduce
+     */
+    getUrlState() {
+        return {
+            location: this.currentLocation,
+            month: this.currentMonth,
+            view: this.currentView,
+            golden: this.showGoldenHour,
+            moon: this.showMoon,
+            tiers: this.twilightTiers,
+            mirror: this.mirrorMode,
+            layout: this.symmetryLayout,
+            compare: this.cityCompareMode,
+            match: this.cityMatchBy,
+            cities: this.cities
+        };
+    }
+
+    /**
+     * Apply (partial) state parsed from the URL, without loading data
+     * Keys left out are kept; a null location and empty cities clear them.
+     */
+    applyUrlState(state) {
+        if (state.location !== undefined) {
+            this.applyLocation(state.location);
+        }
+        
+        if (state.month) {
+            this.currentMonth = state.month;
+        }
+        
+        if (state.golden !== undefined && state.golden !== this.showGoldenHour) {
+            this.toggleGoldenHour();
+        }
+        
+        if (state.moon !== undefined && state.moon !== this.showMoon) {
+            this.toggleMoon();
+        }
+        
+        if (state.tiers) {
+            this.setTwilightTiers(state.tiers);
+        }
+        
+        if (state.mirror) {
+            this.setMirrorMode(state.mirror, false);
+        }
+        
+        if (state.layout) {
+            this.setSymmetryLayout(state.layout, false);
+        }
+        
+        if (state.compare) {
+            this.setCityCompareMode(state.compare, false);
+        }
+        
+        if (state.match) {
+            this.setCityMatchBy(state.match, false);
+        }
+        
+        if (state.cities) {
+            this.applyCities(state.cities);
+        }
+        
+        this.updateMonthDisplay();
+    }
+
+    /**
+     * Write the current state to the URL
+     * @param {boolean} push - Add a history entry (true) or replace the current one
+     */
+    syncUrl(push = false) {
+        if (this.isRestoringUrl) return;
+        
+        const query = this.urlState.serialize(this.getUrlState());
+        const url = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+        
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Restore the view after browser back/forward
+     */
+    restoreFromUrl() {
+        const today = this.dateCalc.getCurrentDate();
+        // Everything the URL leaves out is reset, including the location and cities
+        const state = {
+            ...this.urlState.DEFAULTS,
+            location: null,
+            cities: [],
+            month: new Date(today.getFullYear(), today.getMonth(), 1),
+            ...this.urlState.parse(window.location.search)
+        };
+        
+        this.isRestoringUrl = true;
+        this.applyUrlState(state);
+        this.switchToView(state.view);
+        this.isRestoringUrl = false;
+        
+        this.updateWorkLightCards();
+    }
+
+    /**
+     * Save the symmetry view location to localStorage
      */
-    saveLocation(location, type = 'location') {
+    saveLocation(location) {
         try {
-            const key = type === 'location' 
-                ? 'solarSymmetry_location' 
-                : type === 'city1'
-                    ? 'solarSymmetry_city1'
-                    : 'solarSymmetry_city2';
-            
-            localStorage.setItem(key, JSON.stringify(location));
+            localStorage.setItem('solarSymmetry_location', JSON.stringify(location));
         } catch (error) {
             console.error('Failed to save location:', error);
         }
     }
 
+    /**
+     * Save the compared cities to localStorage
+     */
+    saveCities() {
+        try {
+            localStorage.setItem('solarSymmetry_cities', JSON.stringify(this.cities));
+        } catch (error) {
+            console.error('Failed to save cities:', error);
+        }
+    }
+
     // =================================================================
     // LOCATION SEARCH METHODS (SYMMETRY VIEW)
     // =================================================================
@@ -460,11 +845,12 @@ class SolarSymmetryApp {
         this.hideLocationDropdown();
         
         // Save to localStorage
-        this.saveLocation(location, 'location');
+        this.saveLocation(location);
+        this.syncUrl(true);
         
         this.showLoading();
         await this.loadMonthData();
-        await this.updateLightAfterWorkTimer();
+        await this.updateWorkLightCards();
         this.hideLoading();
     }
 
@@ -475,80 +861,62 @@ class SolarSymmetryApp {
     /**
      * Handle city search input
      */
-    handleCitySearch(query, cityNumber) {
+    handleCitySearch(query) {
         if (query.length < 2) {
-            this.hideCityDropdown(cityNumber);
+            this.hideCityDropdown();
             return;
         }
 
         this.geocoding.searchWithDebounce(query, (results) => {
-            this.showCityDropdown(results, cityNumber);
+            this.showCityDropdown(results);
         });
     }
 
     /**
-     * Handle keyboard navigation in city inputs
+     * Handle keyboard navigation in the city input
      */
-    handleCityKeydown(e, cityNumber) {
-        const dropdown = cityNumber === 1 ? this.elements.city1Dropdown : this.elements.city2Dropdown;
-        const selectedIndex = cityNumber === 1 ? this.city1SelectedIndex : this.city2SelectedIndex;
-        const locations = cityNumber === 1 ? this.city1Locations : this.city2Locations;
+    handleCityKeydown(e) {
+        const dropdown = this.elements.cityDropdown;
         
-        if (dropdown.classList.contains('hidden') || locations.length === 0) {
+        if (dropdown.classList.contains('hidden') || this.cityLocations.length === 0) {
             return;
         }
         
         switch (e.key) {
             case 'ArrowDown':
                 e.preventDefault();
-                const newDownIndex = Math.min(selectedIndex + 1, locations.length - 1);
-                this.setCitySelectedIndex(cityNumber, newDownIndex);
-                this.updateCitySelection(cityNumber);
+                this.citySelectedIndex = Math.min(this.citySelectedIndex + 1, this.cityLocations.length - 1);
+                this.updateCitySelection();
                 break;
                 
             case 'ArrowUp':
                 e.preventDefault();
-                const newUpIndex = Math.max(selectedIndex - 1, -1);
-                this.setCitySelectedIndex(cityNumber, newUpIndex);
-                this.updateCitySelection(cityNumber);
+                this.citySelectedIndex = Math.max(this.citySelectedIndex - 1, -1);
+                this.updateCitySelection();
                 break;
                 
             case 'Enter':
                 e.preventDefault();
-                if (selectedIndex >= 0) {
-                    this.selectCity(locations[selectedIndex], cityNumber);
+                if (this.citySelectedIndex >= 0) {
+                    this.selectCity(this.cityLocations[this.citySelectedIndex]);
                 }
-                const input = cityNumber === 1 ? this.elements.city1Input : this.elements.city2Input;
-                input.blur();
+                this.elements.cityInput.blur();
                 break;
                 
             case 'Escape':
-                this.hideCityDropdown(cityNumber);
+                this.hideCityDropdown();
                 break;
         }
     }
 
-    /**
-     * Set selected index for city dropdown
-     */
-    setCitySelectedIndex(cityNumber, index) {
-        if (cityNumber === 1) {
-            this.city1SelectedIndex = index;
-        } else {
-            this.city2SelectedIndex = index;
-        }
-    }
-
     /**
      * Update visual selection in city dropdown
      */
-    updateCitySelection(cityNumber) {
-        const dropdown = cityNumber === 1 ? this.elements.city1Dropdown : this.elements.city2Dropdown;
-        const selectedIndex = cityNumber === 1 ? this.city1SelectedIndex : this.city2SelectedIndex;
-        const options = dropdown.querySelectorAll('.location-option');
+    updateCitySelection() {
+        const options = this.elements.cityDropdown.querySelectorAll('.location-option');
         
         options.forEach((option, index) => {
-            if (index === selectedIndex) {
+            if (index === this.citySelectedIndex) {
                 option.classList.add('selected');
                 option.scrollIntoView({ block: 'nearest' });
             } else {
@@ -560,17 +928,12 @@ class SolarSymmetryApp {
     /**
      * Show city search dropdown
      */
-    showCityDropdown(locations, cityNumber) {
-        const dropdown = cityNumber === 1 ? this.elements.city1Dropdown : this.elements.city2Dropdown;
+    showCityDropdown(locations) {
+        const dropdown = this.elements.cityDropdown;
         dropdown.innerHTML = '';
         
-        this.setCitySelectedIndex(cityNumber, -1);
-        
-        if (cityNumber === 1) {
-            this.city1Locations = locations;
-        } else {
-            this.city2Locations = locations;
-        }
+        this.citySelectedIndex = -1;
+        this.cityLocations = locations;
 
         if (locations.length === 0) {
             dropdown.innerHTML = '<div class="location-option">No locations found</div>';
@@ -580,12 +943,12 @@ class SolarSymmetryApp {
                 option.className = 'location-option';
                 option.textContent = location.name;
                 option.addEventListener('click', () => {
-                    this.selectCity(location, cityNumber);
+                    this.selectCity(location);
                 });
                 
                 option.addEventListener('mouseenter', () => {
-                    this.setCitySelectedIndex(cityNumber, index);
-                    this.updateCitySelection(cityNumber);
+                    this.citySelectedIndex = index;
+                    this.updateCitySelection();
                 });
                 
                 dropdown.appendChild(option);
@@ -598,46 +961,86 @@ class SolarSymmetryApp {
     /**
      * Hide city dropdown
      */
-    hideCityDropdown(cityNumber) {
-        const dropdown = cityNumber === 1 ? this.elements.city1Dropdown : this.elements.city2Dropdown;
-        dropdown.classList.add('hidden');
+    hideCityDropdown() {
+        this.elements.cityDropdown.classList.add('hidden');
+        this.citySelectedIndex = -1;
+        this.cityLocations = [];
+    }
+
+    /**
+     * Add a city from search results to the comparison
+     */
+    async selectCity(location) {
+        this.hideCityDropdown();
+        this.clearCityInput(false);
         
-        this.setCitySelectedIndex(cityNumber, -1);
+        const isDuplicate = this.cities.some(city => this.isSameLocation(city, location));
+        if (isDuplicate || this.cities.length >= this.MAX_CITIES) return;
         
-        if (cityNumber === 1) {
-            this.city1Locations = [];
-        } else {
-            this.city2Locations = [];
-        }
+        this.applyCities([...this.cities, location]);
+        this.saveCities();
+        this.syncUrl(true);
+        
+        this.showLoading();
+        await this.loadMonthData();
+        this.hideLoading();
     }
 
     /**
-     * Select a city from search results
+     * Remove a city from the comparison
+     * @param {number} index - Position in the city list
      */
-    async selectCity(location, cityNumber) {
-        const input = cityNumber === 1 ? this.elements.city1Input : this.elements.city2Input;
-        const header = cityNumber === 1 ? this.elements.city1Header : this.elements.city2Header;
+    async removeCity(index) {
+        this.applyCities(this.cities.filter((_, i) => i !== index));
+        this.saveCities();
+        this.syncUrl(true);
         
-        input.value = location.name;
-        input.blur();
-        header.textContent = location.name;
+        if (this.currentView !== 'cities') return;
         
-        if (cityNumber === 1) {
-            this.city1 = location;
-            this.saveLocation(location, 'city1');
+        if (this.cities.length > 0) {
+            await this.loadMonthData();
         } else {
-            this.city2 = location;
-            this.saveLocation(location, 'city2');
+            this.renderCitiesEmptyState();
         }
+    }
+
+    /**
+     * Show a list of cities in the cities view (chips and input state)
+     * @param {Array<Object>} cities - Locations, at most MAX_CITIES are kept
+     */
+    applyCities(cities) {
+        this.cities = cities.filter(Boolean).slice(0, this.MAX_CITIES);
+        
+        const chips = this.elements.cityChips;
+        chips.innerHTML = '';
+        
+        this.cities.forEach((city, index) => {
+            const chip = document.createElement('span');
+            chip.className = 'city-chip';
+            chip.innerHTML = `
+                <span class="city-chip-name"></span>
+                <button class="city-chip-remove" aria-label="Remove ${city.name.replace(/"/g, '&quot;')}">×</button>
+            `;
+            chip.querySelector('.city-chip-name').textContent = city.name;
+            chip.querySelector('.city-chip-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeCity(index);
+            });
+            chips.appendChild(chip);
+        });
         
-        this.hideCityDropdown(cityNumber);
-        
-        // Load data if both cities are selected
-        if (this.city1 && this.city2) {
-            this.showLoading();
-            await this.loadMonthData();
-            this.hideLoading();
-        }
+        const isFull = this.cities.length >= this.MAX_CITIES;
+        this.elements.cityInput.disabled = isFull;
+        this.elements.cityInput.placeholder = isFull
+            ? `Up to ${this.MAX_CITIES} cities - remove one to add another`
+            : (this.cities.length === 0 ? 'Enter a city...' : 'Add another city...');
+    }
+
+    /**
+     * Check if two locations are the same place (to 4 decimal places)
+     */
+    isSameLocation(a, b) {
+        return a.lat.toFixed(4) === b.lat.toFixed(4) && a.lng.toFixed(4) === b.lng.toFixed(4);
     }
 
     // =================================================================
@@ -645,29 +1048,65 @@ class SolarSymmetryApp {
     // =================================================================
 
     /**
-     * Navigate to previous month
+     * Check if the symmetry view is showing the whole year
+     */
+    isYearLayout() {
+        return this.currentView === 'symmetry' && this.symmetryLayout === 'year';
+    }
+
+    /**
+     * Navigate to previous month (or year, in the year layout)
      */
     async navigateToPreviousMonth() {
-        if (!this.dateCalc.canGoToPreviousMonth(this.currentMonth)) return;
+        if (this.isYearLayout()) {
+            await this.navigateToPreviousYear();
+            return;
+        }
         
-        this.currentMonth = this.dateCalc.getPreviousMonth(this.currentMonth);
-        this.updateMonthDisplay();
-        this.updateNavigationButtons();
+        if (!this.dateCalc.canGoToPreviousMonth(this.currentMonth)) return;
         
-        this.showLoading();
-        await this.loadMonthData();
-        this.hideLoading();
+        await this.showMonth(this.dateCalc.getPreviousMonth(this.currentMonth));
     }
 
     /**
-     * Navigate to next month
+     * Navigate to next month (or year, in the year layout)
      */
     async navigateToNextMonth() {
+        if (this.isYearLayout()) {
+            await this.navigateToNextYear();
+            return;
+        }
+        
         if (!this.dateCalc.canGoToNextMonth(this.currentMonth)) return;
         
-        this.currentMonth = this.dateCalc.getNextMonth(this.currentMonth);
+        await this.showMonth(this.dateCalc.getNextMonth(this.currentMonth));
+    }
+
+    /**
+     * Jump back a whole year, keeping the month
+     */
+    async navigateToPreviousYear() {
+        if (!this.dateCalc.canGoToPreviousYear(this.currentMonth)) return;
+        
+        await this.showMonth(this.dateCalc.getPreviousYear(this.currentMonth));
+    }
+
+    /**
+     * Jump forward a whole year, keeping the month
+     */
+    async navigateToNextYear() {
+        if (!this.dateCalc.canGoToNextYear(this.currentMonth)) return;
+        
+        await this.showMonth(this.dateCalc.getNextYear(this.currentMonth));
+    }
+
+    /**
+     * Display a month (or its year) and record it in the browser history
+     */
+    async showMonth(monthDate) {
+        this.currentMonth = monthDate;
         this.updateMonthDisplay();
-        this.updateNavigationButtons();
+        this.syncUrl(true);
         
         this.showLoading();
         await this.loadMonthData();
@@ -678,8 +1117,10 @@ class SolarSymmetryApp {
      * Update month display
      */
     updateMonthDisplay() {
-        const monthYear = this.dateCalc.formatMonthYear(this.currentMonth);
-        this.elements.currentMonth.textContent = monthYear;
+        const title = this.isYearLayout()
+            ? String(this.currentMonth.getFullYear())
+            : this.dateCalc.formatMonthYear(this.currentMonth);
+        this.elements.currentMonth.textContent = title;
         this.updateNavigationButtons();
     }
 
@@ -687,27 +1128,129 @@ class SolarSymmetryApp {
      * Update navigation button states
      */
     updateNavigationButtons() {
-        this.elements.prevMonth.disabled = !this.dateCalc.canGoToPreviousMonth(this.currentMonth);
-        this.elements.nextMonth.disabled = !this.dateCalc.canGoToNextMonth(this.currentMonth);
+        if (this.isYearLayout()) {
+            this.elements.prevMonth.disabled = !this.dateCalc.canGoToPreviousYear(this.currentMonth);
+            this.elements.nextMonth.disabled = !this.dateCalc.canGoToNextYear(this.currentMonth);
+        } else {
+            this.elements.prevMonth.disabled = !this.dateCalc.canGoToPreviousMonth(this.currentMonth);
+            this.elements.nextMonth.disabled = !this.dateCalc.canGoToNextMonth(this.currentMonth);
+        }
+        
+        // Explain why navigation stops at the ends of the supported range
+        const rangeNote = `Dates are supported from ${this.dateCalc.MIN_YEAR} to ${this.dateCalc.MAX_YEAR}`;
+        [this.elements.prevMonth, this.elements.nextMonth].forEach(button => {
+            button.title = button.disabled ? rangeNote : '';
+        });
     }
     
     /**
-     * Toggle golden hour display
+     * Switch the symmetry view between the month columns and the year overview
+     * @param {string} layout - 'month' or 'year'
+     * @param {boolean} reload - Reload the data after switching
      */
-    toggleGoldenHour() {
-        this.showGoldenHour = !this.showGoldenHour;
+    async setSymmetryLayout(layout, reload = true) {
+        this.symmetryLayout = layout;
         
-        // Update button appearance
-        if (this.showGoldenHour) {
-            this.elements.goldenHourToggle.classList.add('active');
-        } else {
-            this.elements.goldenHourToggle.classList.remove('active');
-        }
+        this.elements.layoutToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.layout === layout);
+        });
         
-        // Just toggle visibility of existing golden hour elements
-        const goldenHourElements = document.querySelectorAll('.twilight-time.golden-hour');
-        goldenHourElements.forEach((element, index) => {
-            if (this.showGoldenHour) {
+        this.elements.yearOverview.classList.toggle('hidden', layout !== 'year');
+        this.elements.symmetryGrid.classList.toggle('hidden', layout === 'year');
+        this.updateMonthDisplay();
+        this.syncUrl(true);
+        
+        if (!reload) return;
+        
+        if (this.currentLocation) {
+            this.showLoading();
+            await this.loadSymmetryData();
+            this.hideLoading();
+        } else {
+            this.renderSymmetryEmptyState();
+        }
+    }
+    
+    /**
+     * Switch the cities view between each city's times, differences from the first city
+     * and the dates that match the first city's
+     * @param {string} mode - 'times', 'local' (wall-clock difference), 'utc' (absolute difference) or 'match'
+     * @param {boolean} rerender - Re-render the loaded rows after switching
+     */
+    async setCityCompareMode(mode, rerender = true) {
+        this.cityCompareMode = mode;
+        
+        this.elements.cityCompareToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.compare === mode);
+        });
+        this.elements.cityMatchToggle.classList.toggle('hidden', mode !== 'match');
+        this.syncUrl(true);
+        
+        if (rerender) {
+            await this.refreshCityComparison();
+        }
+    }
+
+    /**
+     * Choose what matching dates have in common
+     * @param {string} matchBy - 'dayLength' or 'sunset'
+     * @param {boolean} rerender - Re-render the loaded rows after switching
+     */
+    async setCityMatchBy(matchBy, rerender = true) {
+        this.cityMatchBy = matchBy;
+        
+        this.elements.cityMatchToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.match === matchBy);
+        });
+        this.syncUrl(true);
+        
+        if (rerender) {
+            await this.refreshCityComparison();
+        }
+    }
+
+    /**
+     * Re-render the loaded cities rows after the comparison changed
+     * Differences are computed from the data already loaded; matching dates are looked up first.
+     */
+    async refreshCityComparison() {
+        if (this.currentView !== 'cities' || !this.citiesData || this.cities.length === 0) return;
+        
+        if (this.cityCompareMode === 'match') {
+            this.showLoading();
+            await this.loadCityMatches(this.citiesData);
+            this.hideLoading();
+        }
+        
+        this.renderCitiesData(this.citiesData);
+    }
+    
+    /**
+     * Open the detailed month view for a date (from the year overview)
+     */
+    async openMonth(date) {
+        this.currentMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+        await this.setSymmetryLayout('month');
+    }
+    
+    /**
+     * Toggle golden hour display
+     */
+    toggleGoldenHour() {
+        this.showGoldenHour = !this.showGoldenHour;
+        this.syncUrl();
+        
+        // Update button appearance
+        if (this.showGoldenHour) {
+            this.elements.goldenHourToggle.classList.add('active');
+        } else {
+            this.elements.goldenHourToggle.classList.remove('active');
+        }
+        
+        // Just toggle visibility of existing golden hour elements
+        const goldenHourElements = document.querySelectorAll('.twilight-time.golden-hour');
+        goldenHourElements.forEach((element, index) => {
+            if (this.showGoldenHour) {
                 element.classList.remove('hidden');
                 // Smooth fade in with stagger
                 if (window.anime) {
@@ -726,40 +1269,258 @@ class SolarSymmetryApp {
         });
     }
     
+    /**
+     * Toggle the moon row on the date cards
+     */
+    toggleMoon() {
+        this.showMoon = !this.showMoon;
+        this.syncUrl();
+        
+        this.elements.moonToggle.classList.toggle('active', this.showMoon);
+        
+        // Just toggle visibility of existing moon rows
+        document.querySelectorAll('.twilight-time.moon-row').forEach(element => {
+            element.classList.toggle('hidden', !this.showMoon);
+        });
+        
+        // Rows rendered while hidden have no moonrise/moonset yet
+        if (this.showMoon) {
+            if (this.currentView === 'symmetry' && this.monthData && !this.isYearLayout()) {
+                this.renderSymmetryData(this.monthData);
+            } else if (this.currentView === 'cities') {
+                this.refreshCityComparison();
+            }
+        }
+    }
+
+    /**
+     * Show or hide one twilight tier on the date cards
+     * @param {string} tier - 'civil', 'nautical' or 'astronomical'
+     */
+    toggleTwilightTier(tier) {
+        const tiers = this.twilightTiers.includes(tier)
+            ? this.twilightTiers.filter(t => t !== tier)
+            : [...this.twilightTiers, tier];
+        
+        this.setTwilightTiers(tiers);
+    }
+
+    /**
+     * Set which twilight tiers the date cards show
+     * @param {Array<string>} tiers - Any of 'civil', 'nautical', 'astronomical'
+     */
+    setTwilightTiers(tiers) {
+        this.twilightTiers = this.urlState.TWILIGHT_TIERS.filter(tier => tiers.includes(tier));
+        localStorage.setItem('solarSymmetry_twilightTiers', JSON.stringify(this.twilightTiers));
+        
+        this.elements.twilightTierToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.classList.toggle('active', this.twilightTiers.includes(button.dataset.tier));
+        });
+        this.syncUrl();
+        
+        // Just toggle visibility of existing tier rows
+        this.urlState.TWILIGHT_TIERS.forEach(tier => {
+            document.querySelectorAll(`.twilight-time.tier-${tier}`).forEach(element => {
+                element.classList.toggle('hidden', !this.twilightTiers.includes(tier));
+            });
+        });
+    }
+
+    /**
+     * Switch between solstice and equinox mirroring
+     * @param {string} mode - 'solstice' or 'equinox'
+     * @param {boolean} reload - Reload the month data after switching
+     */
+    async setMirrorMode(mode, reload = true) {
+        if (!this.dateCalc.MIRROR_AXES[mode]) return;
+        
+        this.mirrorMode = mode;
+        localStorage.setItem('solarSymmetry_mirrorMode', mode);
+        
+        this.elements.mirrorModeToggle.querySelectorAll('.mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        this.syncUrl();
+        
+        if (reload && this.currentView === 'symmetry' && this.currentLocation) {
+            this.showLoading();
+            await this.loadSymmetryData();
+            this.hideLoading();
+        }
+    }
+    
+    // =================================================================
+    // LIGHT BEFORE / AFTER WORK
+    // =================================================================
+
+    /**
+     * Load work settings from localStorage, falling back to a 07:30-17:00 Mon-Fri schedule
+     */
+    loadWorkSettings() {
+        const defaults = {
+            endTime: '17:00',
+            commuteMinutes: 0,
+            workDays: [1, 2, 3, 4, 5], // 0 = Sunday
+            threshold: 'sunset', // 'sunset' or 'dusk'
+            departureTime: '07:30',
+            morningThreshold: 'sunrise' // 'sunrise' or 'dawn'
+        };
+        
+        try {
+            const saved = localStorage.getItem('solarSymmetry_workSettings');
+            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+        } catch (error) {
+            console.error('Failed to load work settings:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Fill the settings panel from the current work settings
+     */
+    renderWorkSettings() {
+        const settings = this.workSettings;
+        
+        this.elements.workEndTime.value = settings.endTime;
+        this.elements.workCommute.value = settings.commuteMinutes;
+        this.elements.workThreshold.value = settings.threshold;
+        this.elements.workDepartureTime.value = settings.departureTime;
+        this.elements.morningThreshold.value = settings.morningThreshold;
+        this.elements.workDays.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = settings.workDays.includes(parseInt(checkbox.value, 10));
+        });
+    }
+
+    /**
+     * Read the settings panel, save it and recalculate the card
+     */
+    saveWorkSettings() {
+        const workDays = Array.from(this.elements.workDays.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => parseInt(checkbox.value, 10));
+        
+        this.workSettings = {
+            endTime: this.elements.workEndTime.value || '17:00',
+            commuteMinutes: Math.max(0, parseInt(this.elements.workCommute.value, 10) || 0),
+            workDays,
+            threshold: this.elements.workThreshold.value === 'dusk' ? 'dusk' : 'sunset',
+            departureTime: this.elements.workDepartureTime.value || '07:30',
+            morningThreshold: this.elements.morningThreshold.value === 'dawn' ? 'dawn' : 'sunrise'
+        };
+        
+        try {
+            localStorage.setItem('solarSymmetry_workSettings', JSON.stringify(this.workSettings));
+        } catch (error) {
+            console.error('Failed to save work settings:', error);
+        }
+        
+        this.updateWorkLightCards();
+    }
+
+    /**
+     * Toggle the work settings panel
+     */
+    toggleWorkSettings() {
+        const isHidden = this.elements.workSettingsPanel.classList.toggle('hidden');
+        this.elements.workSettingsBtn.classList.toggle('active', !isHidden);
+    }
+
+    /**
+     * Toggle the morning (departure) settings panel
+     */
+    toggleMorningSettings() {
+        const isHidden = this.elements.morningSettingsPanel.classList.toggle('hidden');
+        this.elements.morningSettingsBtn.classList.toggle('active', !isHidden);
+    }
+
+    /**
+     * Minutes after midnight at which the user is out of work (end time + commute)
+     */
+    getWorkTargetMinutes() {
+        return this.dateCalc.timeToMinutes(this.workSettings.endTime) + this.workSettings.commuteMinutes;
+    }
+
+    /**
+     * Check if a date is one of the user's working days
+     */
+    isWorkDay(date) {
+        return this.workSettings.workDays.includes(date.getDay());
+    }
+
+    /**
+     * Check if there is still light (sunset or dusk) once work is over
+     * @param {Object} twilightData - Twilight data or sun events (getLocalSunEvents)
+     */
+    hasLightAfterWork(twilightData) {
+        const state = this.getEventState(twilightData, this.workSettings.threshold);
+        if (state !== 'normal') return state === 'above';
+        
+        const thresholdMinutes = this.dateCalc.timeToMinutes(twilightData[this.workSettings.threshold]);
+        return thresholdMinutes !== null && thresholdMinutes > this.getWorkTargetMinutes();
+    }
+
+    /**
+     * Check if it is already light (sunrise or dawn) when leaving for work
+     * @param {Object} twilightData - Twilight data or sun events (getLocalSunEvents)
+     */
+    hasLightBeforeWork(twilightData) {
+        const state = this.getEventState(twilightData, this.workSettings.morningThreshold);
+        if (state !== 'normal') return state === 'above';
+        
+        const thresholdMinutes = this.dateCalc.timeToMinutes(twilightData[this.workSettings.morningThreshold]);
+        return thresholdMinutes !== null && thresholdMinutes <= this.dateCalc.timeToMinutes(this.workSettings.departureTime);
+    }
+
+    /**
+     * Work out how light looks on working days from today
+     * @param {Function} hasLight - (sunEvents) => boolean for "light at the time that matters"
+     * @returns {Object|null} - { day, hasLightNow, change } where day is the next working day
+     *          and change the first working day on which that flips (or null); both are { date, sunEvents }
+     */
+    getWorkLightOutlook(hasLight) {
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        
+        const day = this.daySearch.findFirst(this.currentLocation, today, (date) => this.isWorkDay(date), 7);
+        if (!day) return null;
+        
+        const hasLightNow = hasLight(day.sunEvents);
+        const change = this.daySearch.findFirst(this.currentLocation, day.date, (date, sunEvents) =>
+            this.isWorkDay(date) && hasLight(sunEvents) !== hasLightNow
+        );
+        
+        return { day, hasLightNow, change };
+    }
+
+    /**
+     * Refresh both the morning and evening work cards
+     */
+    async updateWorkLightCards() {
+        await Promise.all([
+            this.updateLightBeforeWorkTimer(),
+            this.updateLightAfterWorkTimer()
+        ]);
+    }
+    
     /**
      * Calculate and display light after work countdown
      */
     async updateLightAfterWorkTimer() {
-        if (!this.currentLocation) {
+        if (!this.currentLocation || this.workSettings.workDays.length === 0) {
             this.elements.lightAfterWorkCard.classList.add('hidden');
             return;
         }
         
-        const today = new Date();
-        const targetTime = '17:00'; // 5pm
-        
         try {
-            // Get today's sunset
-            const todayData = await this.twilight.getTwilightTimes(
-                today,
-                this.currentLocation.lat,
-                this.currentLocation.lng
-            );
-            
-            const todaySunsetTime = todayData.sunset;
+            const outlook = this.getWorkLightOutlook((sunEvents) => this.hasLightAfterWork(sunEvents));
             
-            // Check if we currently have light after 5pm
-            const sunsetHour = parseInt(todaySunsetTime.split(':')[0]);
-            const sunsetMinute = parseInt(todaySunsetTime.split(':')[1]);
-            const sunsetTotalMinutes = sunsetHour * 60 + sunsetMinute;
-            const targetMinutes = 17 * 60; // 5pm
-            
-            if (sunsetTotalMinutes > targetMinutes) {
-                // We currently have light after work!
-                this.showLightAfterWorkCountdown(today, todayData, true);
+            if (outlook && outlook.hasLightNow) {
+                // We currently have light after work - the change is when autumn takes it away
+                this.showLightAfterWorkCountdown(outlook.day.date, outlook.day.sunEvents, true, outlook.change);
+            } else if (outlook && outlook.change) {
+                // Countdown to when light returns after work
+                this.showLightAfterWorkCountdown(outlook.change.date, outlook.change.sunEvents, false);
             } else {
-                // Find when light returns after work
-                this.findWhenLightReturns(targetMinutes);
+                this.elements.lightAfterWorkCard.classList.add('hidden');
             }
             
         } catch (error) {
@@ -767,67 +1528,70 @@ class SolarSymmetryApp {
             this.elements.lightAfterWorkCard.classList.add('hidden');
         }
     }
-    
+
     /**
-     * Find when sunset will be after target time
+     * Calculate and display light before work countdown
      */
-    async findWhenLightReturns(targetMinutes) {
-        const today = new Date();
-        const searchLimit = 365; // Search up to 1 year ahead
+    async updateLightBeforeWorkTimer() {
+        if (!this.currentLocation || this.workSettings.workDays.length === 0) {
+            this.elements.lightBeforeWorkCard.classList.add('hidden');
+            return;
+        }
         
-        for (let daysAhead = 1; daysAhead < searchLimit; daysAhead++) {
-            const futureDate = new Date(today);
-            futureDate.setDate(today.getDate() + daysAhead);
-            
-            const futureData = await this.twilight.getTwilightTimes(
-                futureDate,
-                this.currentLocation.lat,
-                this.currentLocation.lng
-            );
-            
-            const sunsetTime = futureData.sunset;
-            const sunsetHour = parseInt(sunsetTime.split(':')[0]);
-            const sunsetMinute = parseInt(sunsetTime.split(':')[1]);
-            const sunsetTotalMinutes = sunsetHour * 60 + sunsetMinute;
-            
-            if (sunsetTotalMinutes > targetMinutes) {
-                // Found it!
-                this.showLightAfterWorkCountdown(futureDate, futureData, false);
-                return;
-            }
+        try {
+            const outlook = this.getWorkLightOutlook((sunEvents) => this.hasLightBeforeWork(sunEvents));
             
-            // Check every 7 days for efficiency
-            if (daysAhead < 30) {
-                daysAhead += 6; // Will increment by 1 in loop, so effectively +7
+            if (outlook && outlook.hasLightNow) {
+                // Light mornings now - the change is when they turn dark again
+                this.showLightBeforeWorkCountdown(outlook.day.date, outlook.day.sunEvents, true, outlook.change);
+            } else if (outlook && outlook.change) {
+                // Countdown to light mornings
+                this.showLightBeforeWorkCountdown(outlook.change.date, outlook.change.sunEvents, false);
             } else {
-                daysAhead += 13; // Check every 2 weeks after a month
+                this.elements.lightBeforeWorkCard.classList.add('hidden');
             }
+            
+        } catch (error) {
+            console.error('Failed to calculate light before work:', error);
+            this.elements.lightBeforeWorkCard.classList.add('hidden');
         }
-        
-        // If we didn't find it, hide the card
-        this.elements.lightAfterWorkCard.classList.add('hidden');
     }
     
     /**
      * Display light after work countdown
+     * @param {Date} targetDate - Day the message is about
+     * @param {Object} twilightData - Sun events (or twilight data) for that day
+     * @param {boolean} hasLightNow - True if there is light after work on the next working day
+     * @param {Object|null} lightLost - { date } of the first working day without light (when hasLightNow)
      */
-    showLightAfterWorkCountdown(targetDate, twilightData, hasLightNow) {
+    showLightAfterWorkCountdown(targetDate, twilightData, hasLightNow, lightLost = null) {
         this.elements.lightAfterWorkCard.classList.remove('hidden');
         
+        const { threshold } = this.workSettings;
+        const thresholdLabel = threshold === 'dusk' ? 'Dusk' : 'Sunset';
+        const targetTime = this.minutesToTime(this.getWorkTargetMinutes());
+        const daysUntil = (date) => this.dateCalc.getDayNumber(date) - this.dateCalc.getDayNumber(new Date());
+        
         if (hasLightNow) {
             // Currently have light
+            const when = this.dateCalc.isToday(targetDate) ? 'today' : 'on ' + this.dateCalc.formatDate(targetDate);
+            
             this.elements.lightAfterWorkTitle.textContent = 'Light After Work';
-            this.elements.lightAfterWorkMessage.textContent = 'Sunset today at ' + twilightData.sunset;
+            this.elements.lightAfterWorkMessage.textContent = this.getEventState(twilightData, threshold) === 'normal'
+                ? `${thresholdLabel} ${when} at ${twilightData[threshold]}`
+                : `${this.getLightStateInfo(twilightData.lightState).label} ${when}`;
             this.elements.lightAfterWorkCountdown.textContent = 'Enjoy the daylight';
+            this.elements.lightAfterWorkDetail.textContent = lightLost
+                ? `Evening light after ${targetTime} is lost again on ${this.dateCalc.formatDate(lightLost.date)} · ${daysUntil(lightLost.date)} days left`
+                : `Light after ${targetTime} all year round`;
             this.elements.lightAfterWorkCard.classList.add('has-light');
         } else {
             // Countdown to light return
-            const today = new Date();
-            const daysUntil = Math.ceil((targetDate - today) / (1000 * 60 * 60 * 24));
-            
             this.elements.lightAfterWorkTitle.textContent = 'Light Returns After Work';
-            this.elements.lightAfterWorkMessage.textContent = 'Sunset will be after 5pm on ' + this.dateCalc.formatDate(targetDate);
-            this.elements.lightAfterWorkCountdown.textContent = daysUntil + ' days';
+            this.elements.lightAfterWorkMessage.textContent = 
+                `${thresholdLabel} will be after ${targetTime} on ${this.dateCalc.formatDate(targetDate)}`;
+            this.elements.lightAfterWorkCountdown.textContent = daysUntil(targetDate) + ' days';
+            this.elements.lightAfterWorkDetail.textContent = '';
             this.elements.lightAfterWorkCard.classList.remove('has-light');
             
             // Animate countdown
@@ -843,6 +1607,60 @@ class SolarSymmetryApp {
         }
     }
 
+    /**
+     * Display light before work countdown
+     * @param {Date} targetDate - Day the message is about
+     * @param {Object} twilightData - Sun events (or twilight data) for that day
+     * @param {boolean} hasLightNow - True if it is light when leaving on the next working day
+     * @param {Object|null} lightLost - { date } of the first working day with a dark departure (when hasLightNow)
+     */
+    showLightBeforeWorkCountdown(targetDate, twilightData, hasLightNow, lightLost = null) {
+        this.elements.lightBeforeWorkCard.classList.remove('hidden');
+        
+        const { morningThreshold, departureTime } = this.workSettings;
+        const thresholdLabel = morningThreshold === 'dawn' ? 'Dawn' : 'Sunrise';
+        const daysUntil = (date) => this.dateCalc.getDayNumber(date) - this.dateCalc.getDayNumber(new Date());
+        
+        if (hasLightNow) {
+            // Currently light when leaving
+            const when = this.dateCalc.isToday(targetDate) ? 'today' : 'on ' + this.dateCalc.formatDate(targetDate);
+            
+            this.elements.lightBeforeWorkTitle.textContent = 'Light Before Work';
+            this.elements.lightBeforeWorkMessage.textContent = this.getEventState(twilightData, morningThreshold) === 'normal'
+                ? `${thresholdLabel} ${when} at ${twilightData[morningThreshold]}`
+                : `${this.getLightStateInfo(twilightData.lightState).label} ${when}`;
+            
+            if (lightLost) {
+                this.elements.lightBeforeWorkCountdown.textContent = daysUntil(lightLost.date) + ' days left';
+                this.elements.lightBeforeWorkDetail.textContent =
+                    `Mornings are dark at ${departureTime} again from ${this.dateCalc.formatDate(lightLost.date)}`;
+            } else {
+                this.elements.lightBeforeWorkCountdown.textContent = 'Enjoy the daylight';
+                this.elements.lightBeforeWorkDetail.textContent = `Light at ${departureTime} all year round`;
+            }
+            this.elements.lightBeforeWorkCard.classList.add('has-light');
+        } else {
+            // Countdown to light mornings
+            this.elements.lightBeforeWorkTitle.textContent = 'Light Mornings Return';
+            this.elements.lightBeforeWorkMessage.textContent =
+                `${thresholdLabel} will be before ${departureTime} on ${this.dateCalc.formatDate(targetDate)}`;
+            this.elements.lightBeforeWorkCountdown.textContent = daysUntil(targetDate) + ' days';
+            this.elements.lightBeforeWorkDetail.textContent = '';
+            this.elements.lightBeforeWorkCard.classList.remove('has-light');
+            
+            // Animate countdown
+            if (window.anime) {
+                anime({
+                    targets: this.elements.lightBeforeWorkCountdown,
+                    scale: [1.1, 1],
+                    opacity: [0, 1],
+                    duration: 800,
+                    easing: 'easeOutElastic(1, .6)'
+                });
+            }
+        }
+    }
+
     // =================================================================
     // DATA LOADING
     // =================================================================
@@ -863,12 +1681,22 @@ class SolarSymmetryApp {
      */
     async loadSymmetryData() {
         if (!this.currentLocation) return;
+        
+        if (this.symmetryLayout === 'year') {
+            await this.loadYearData();
+            return;
+        }
 
         const year = this.currentMonth.getFullYear();
         const month = this.currentMonth.getMonth() + 1;
+        const timezone = this.getLocationTimezone(this.currentLocation);
         
-        const monthData = this.dateCalc.getMonthWithMirrors(year, month);
+        const monthData = this.dateCalc.getMonthWithMirrors(year, month, timezone, this.mirrorMode);
+        this.updateSolsticeInfo(timezone);
         this.renderSymmetryData(monthData);
+        this.updateDaylightChart(monthData).catch(error => {
+            console.error('Failed to render daylight chart:', error);
+        });
         
         try {
             const chunkSize = 5;
@@ -925,7 +1753,8 @@ class SolarSymmetryApp {
                 
                 this.renderSymmetryData(monthData);
                 
-                if (chunkIndex < chunks.length - 1) {
+                // Only API requests need spacing out; the local engine has nothing to wait for
+                if (this.twilight.source === 'api' && chunkIndex < chunks.length - 1) {
                     await new Promise(resolve => setTimeout(resolve, 100));
                 }
             }
@@ -936,162 +1765,980 @@ class SolarSymmetryApp {
     }
 
     /**
-     * Load cities comparison data
+     * Load the whole year for the year overview
+     */
+    async loadYearData() {
+        const year = this.currentMonth.getFullYear();
+        const timezone = this.getLocationTimezone(this.currentLocation);
+        const token = ++this.yearRenderToken;
+        
+        const yearData = await this.getYearTwilightData(year);
+        if (token !== this.yearRenderToken) return;
+        
+        const axes = this.dateCalc.getSeasonAxesInYear(year, timezone, this.mirrorMode);
+        
+        this.yearOverview.render(yearData, axes);
+        this.daylightChart.render(yearData);
+    }
+
+    /**
+     * Get every day of a year with its mirror and twilight data for the current location
+     * The last year requested is kept (as its promise, so callers arriving while it loads
+     * share the one computation) and month navigation within a year doesn't recompute it.
+     * @param {number} year - Calendar year
+     * @returns {Promise<Array>} - Items of { current, mirrored, isToday, currentTwilight }
+     */
+    getYearTwilightData(year) {
+        const { lat, lng } = this.currentLocation;
+        const key = `${lat},${lng},${year},${this.mirrorMode}`;
+        
+        if (this.yearTwilightCache && this.yearTwilightCache.key === key) {
+            return this.yearTwilightCache.promise;
+        }
+        
+        const timezone = this.getLocationTimezone(this.currentLocation);
+        const yearData = this.dateCalc.getYearWithMirrors(year, timezone, this.mirrorMode);
+        
+        const promise = this.twilight.getBatchTwilightTimes(yearData.map(item => item.current), lat, lng)
+            .then(twilightResults => {
+                twilightResults.forEach((twilightData, index) => {
+                    yearData[index].currentTwilight = twilightData;
+                });
+                return yearData;
+            })
+            .catch(error => {
+                console.error('Failed to load year twilight data:', error);
+                // Don't keep the failed load; the next request tries again
+                if (this.yearTwilightCache && this.yearTwilightCache.promise === promise) {
+                    this.yearTwilightCache = null;
+                }
+                return yearData;
+            });
+        
+        this.yearTwilightCache = { key, promise };
+        return promise;
+    }
+
+    /**
+     * Render the daylight chart for the current year, highlighting the month and its mirror
+     * @param {Array} monthData - Month items of { current, mirrored }
+     */
+    async updateDaylightChart(monthData) {
+        const year = this.currentMonth.getFullYear();
+        const token = ++this.yearRenderToken;
+        
+        const yearData = await this.getYearTwilightData(year);
+        if (token !== this.yearRenderToken) return;
+        
+        const monthLabel = this.currentMonth.toLocaleDateString('en-US', { month: 'short' });
+        
+        const highlights = [{
+            start: monthData[0].current,
+            end: monthData[monthData.length - 1].current,
+            label: monthLabel,
+            className: 'current'
+        }];
+        
+        // Mirrors can fall in a neighbouring year; the seasons repeat, so draw them in this one
+        const mirrorsByYear = new Map();
+        monthData.forEach(item => {
+            const mirrorYear = item.mirrored.getFullYear();
+            if (!mirrorsByYear.has(mirrorYear)) mirrorsByYear.set(mirrorYear, []);
+            mirrorsByYear.get(mirrorYear).push(item.mirrored);
+        });
+        
+        mirrorsByYear.forEach(dates => {
+            const dayNumbers = dates.map(date => this.dateCalc.getDayNumber(date));
+            const toThisYear = (date) => new Date(year, date.getMonth(), date.getDate());
+            highlights.push({
+                start: toThisYear(this.dateCalc.fromDayNumber(Math.min(...dayNumbers))),
+                end: toThisYear(this.dateCalc.fromDayNumber(Math.max(...dayNumbers))),
+                label: 'Mirror',
+                className: 'mirror'
+            });
+        });
+        
+        this.daylightChart.render(yearData, highlights);
+    }
+
+    /**
+     * Load cities comparison data
+     */
+    async loadCitiesData() {
+        if (this.cities.length === 0) return;
+        
+        const cities = this.cities;
+
+        const year = this.currentMonth.getFullYear();
+        const month = this.currentMonth.getMonth() + 1;
+        
+        // Get all dates for the month (no mirroring for cities view)
+        const monthDates = this.dateCalc.getMonthDates(year, month);
+        
+        // Initialize data structure
+        const citiesData = monthDates.map(date => ({
+            date: date,
+            twilights: cities.map(() => null), // One entry per city, in list order
+            isToday: this.dateCalc.isToday(date)
+        }));
+        
+        this.renderCitiesData(citiesData);
+        
+        try {
+            if (this.cityCompareMode === 'match') {
+                await this.loadCityMatches(citiesData);
+                if (cities !== this.cities) return;
+            }
+            
+            const chunkSize = 10; // Can process more since we're not dealing with mirrors
+            const chunks = [];
+            
+            for (let i = 0; i < citiesData.length; i += chunkSize) {
+                chunks.push(citiesData.slice(i, i + chunkSize));
+            }
+            
+            for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+                const chunk = chunks[chunkIndex];
+                const dates = chunk.map(item => item.date);
+                
+                // Fetch data for every city in parallel
+                const cityResults = await Promise.all(
+                    cities.map(city => this.twilight.getBatchTwilightTimes(dates, city.lat, city.lng))
+                );
+                
+                // A city was added or removed meanwhile: that load renders instead
+                if (cities !== this.cities) return;
+                
+                // Map results back
+                chunk.forEach((item, localIndex) => {
+                    const globalIndex = chunkIndex * chunkSize + localIndex;
+                    citiesData[globalIndex].twilights = cityResults.map(results => results[localIndex]);
+                });
+                
+                this.renderCitiesData(citiesData);
+                
+                // Only API requests need spacing out; the local engine has nothing to wait for
+                if (this.twilight.source === 'api' && chunkIndex < chunks.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load cities twilight data:', error);
+            this.renderCitiesData(citiesData);
+        }
+    }
+
+    /**
+     * Find, for every date, the date in each other city that matches the first city's
+     * (same day length or sunset) and load its twilight data into item.matches
+     * @param {Array<Object>} citiesData - Rows of the cities table
+     */
+    async loadCityMatches(citiesData) {
+        const cities = this.cities;
+        if (cities.length < 2 || citiesData.length === 0) return;
+        
+        // One series per city covering the month plus the search window on either side
+        const first = citiesData[0].date;
+        const last = citiesData[citiesData.length - 1].date;
+        const windowDays = this.crossMirror.WINDOW_DAYS;
+        const start = new Date(first.getFullYear(), first.getMonth(), first.getDate() - windowDays);
+        const days = this.dateCalc.getDayNumber(last) - this.dateCalc.getDayNumber(first) + 2 * windowDays + 1;
+        const series = cities.map(city => this.crossMirror.getSeries(city, start, days));
+        
+        const matchesByRow = citiesData.map(item => cities.map((city, index) =>
+            index === 0 ? null : this.crossMirror.findMatch(series[0], item.date, series[index], this.cityMatchBy)
+        ));
+        
+        try {
+            await Promise.all(matchesByRow.map(matches => Promise.all(matches.map(async (match, index) => {
+                if (match) {
+                    match.twilightData = await this.twilight.getTwilightTimes(match.date, cities[index].lat, cities[index].lng);
+                }
+            }))));
+        } catch (error) {
+            console.error('Failed to load matching dates:', error);
+        }
+        
+        // A city was added or removed meanwhile: that load fills in its own matches
+        if (cities !== this.cities) return;
+        
+        citiesData.forEach((item, index) => {
+            item.matches = matchesByRow[index];
+        });
+    }
+
+    // =================================================================
+    // RENDERING METHODS
+    // =================================================================
+
+    /**
+     * Render symmetry view data
+     */
+    renderSymmetryData(monthData) {
+        this.monthData = monthData;
+        this.renderCurrentColumn(monthData);
+        this.renderMirroredColumn(monthData);
+    }
+
+    /**
+     * Render cities view data: one row per date, one column per city
+     */
+    renderCitiesData(citiesData) {
+        this.citiesData = citiesData;
+        
+        const table = this.elements.citiesTable;
+        table.innerHTML = '';
+        
+        // Difference and match modes compare every other city with the first one
+        const isMatchMode = this.cityCompareMode === 'match' && this.cities.length > 1;
+        const showDifferences = ['local', 'utc'].includes(this.cityCompareMode) && this.cities.length > 1;
+        
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        headRow.innerHTML = '<th class="cities-date-col column-header">Date</th>';
+        this.cities.forEach((city, index) => {
+            const header = document.createElement('th');
+            header.className = 'column-header';
+            header.textContent = city.name;
+            if ((showDifferences || isMatchMode) && index === 0) {
+                header.textContent = `${city.name} (reference)`;
+            } else if (isMatchMode) {
+                header.textContent = `${city.name} (matching date)`;
+            }
+            headRow.appendChild(header);
+        });
+        head.appendChild(headRow);
+        
+        const body = document.createElement('tbody');
+        citiesData.forEach(item => {
+            const row = document.createElement('tr');
+            row.className = item.isToday ? 'today' : '';
+            
+            const dateCell = document.createElement('th');
+            dateCell.className = 'cities-date-col';
+            dateCell.scope = 'row';
+            dateCell.textContent = this.dateCalc.formatDate(item.date);
+            row.appendChild(dateCell);
+            
+            // Matched cells show other dates, so same-row highlights would compare unlike days
+            const highlights = isMatchMode
+                ? { earliestSunset: [], longestDay: [] }
+                : this.getCityRowHighlights(item.twilights);
+            
+            this.cities.forEach((city, index) => {
+                const cell = document.createElement('td');
+                
+                if (isMatchMode && index > 0) {
+                    cell.appendChild(this.createCityMatchElement(item, index, city, cell));
+                    row.appendChild(cell);
+                    return;
+                }
+                
+                const dateElement = this.createDateElement(item.date, item.twilights[index], item.isToday);
+                this.attachSunPath(dateElement, item.date, city);
+                
+                const badges = [];
+                if (highlights.earliestSunset.includes(index)) badges.push(['earliest-sunset', 'Earliest sunset']);
+                if (highlights.longestDay.includes(index)) badges.push(['longest-day', 'Longest day']);
+                
+                if (badges.length) {
+                    const badgeRow = document.createElement('div');
+                    badgeRow.className = 'city-badges';
+                    badgeRow.innerHTML = badges
+                        .map(([className, label]) => `<span class="city-badge ${className}">${label}</span>`)
+                        .join('');
+                    dateElement.insertBefore(badgeRow, dateElement.firstChild);
+                    cell.classList.add(...badges.map(([className]) => className));
+                }
+                
+                if (showDifferences && index > 0) {
+                    const differences = this.getCityDifferences(item.twilights[0], item.twilights[index], this.cityCompareMode);
+                    if (differences) {
+                        dateElement.insertBefore(this.createCityDiffElement(differences, this.cities[0]), dateElement.querySelector('.twilight-times'));
+                    }
+                }
+                
+                cell.appendChild(dateElement);
+                row.appendChild(cell);
+            });
+            
+            body.appendChild(row);
+        });
+        
+        table.appendChild(head);
+        table.appendChild(body);
+        
+        // Animate all cards with stagger
+        this.animateCardEntrance(table);
+    }
+
+    /**
+     * Create the card for a city's matching date in the match mode
+     * @param {Object} item - Row of the cities table (item.matches is set once matches are loaded)
+     * @param {number} index - City position
+     * @param {Object} city - The city
+     * @param {HTMLElement} cell - Table cell, marked as matched when a date was found
+     * @returns {HTMLElement} - Date card
+     */
+    createCityMatchElement(item, index, city, cell) {
+        // Matches still loading
+        if (!item.matches) {
+            return this.createDateElement(item.date, null, false);
+        }
+        
+        const match = item.matches[index];
+        if (!match) {
+            const element = document.createElement('div');
+            element.className = 'date-item city-match-none';
+            element.textContent = this.cityMatchBy === 'sunset' ? 'No sunset to match' : 'No day length to match';
+            return element;
+        }
+        
+        const element = this.createDateElement(match.date, match.twilightData, this.dateCalc.isToday(match.date));
+        this.attachSunPath(element, match.date, city);
+        cell.classList.add('matched');
+        
+        const note = document.createElement('div');
+        note.className = `city-match ${match.isClose ? '' : 'approximate'}`;
+        note.textContent = this.formatCityMatch(match);
+        element.insertBefore(note, element.querySelector('.twilight-times'));
+        
+        return element;
+    }
+
+    /**
+     * Describe how well a matching date matches, e.g. "Same day length · 10h 21m (2m longer)"
+     * @param {Object} match - From CrossMirror.findMatch
+     */
+    formatCityMatch(match) {
+        const isSunset = this.cityMatchBy === 'sunset';
+        const format = value => isSunset ? this.minutesToTime(value) : this.formatDuration(value);
+        
+        if (!match.isClose) {
+            return isSunset
+                ? `No sunset at ${format(match.targetValue)} - closest ${format(match.value)}`
+                : `No day of ${format(match.targetValue)} - closest ${format(match.value)}`;
+        }
+        
+        const difference = isSunset ? match.difference : Math.round(match.difference / 60);
+        const detail = difference === 0
+            ? ''
+            : ` (${this.formatTimeDifference(difference, isSunset ? 'later' : 'longer', isSunset ? 'earlier' : 'shorter')})`;
+        
+        return `${isSunset ? 'Same sunset' : 'Same day length'} · ${format(match.value)}${detail}`;
+    }
+
+    /**
+     * Work out how much earlier or later a city's sunrise and sunset are than the reference city's
+     * 'local' compares wall-clock times (18:05 vs 17:40), 'utc' the actual moments, so it includes the timezone offset.
+     * @param {Object} reference - Twilight data of the first city
+     * @param {Object} other - Twilight data of the city being compared
+     * @param {string} mode - 'local' or 'utc'
+     * @returns {Object|null} - { sunrise, sunset } in minutes and dayLength in seconds (null where an event is missing)
+     */
+    getCityDifferences(reference, other, mode) {
+        if (!reference || !other || reference.error || other.error) return null;
+        
+        const difference = (event) => {
+            if (mode === 'utc') {
+                const start = Date.parse(reference[`${event}ISO`]);
+                const end = Date.parse(other[`${event}ISO`]);
+                return Number.isNaN(start) || Number.isNaN(end) ? null : Math.round((end - start) / 60000);
+            }
+            
+            const start = this.dateCalc.timeToMinutes(reference[event]);
+            const end = this.dateCalc.timeToMinutes(other[event]);
+            return start === null || end === null ? null : end - start;
+        };
+        
+        const hasDayLengths = typeof reference.dayLength === 'number' && typeof other.dayLength === 'number';
+        
+        return {
+            sunrise: difference('sunrise'),
+            sunset: difference('sunset'),
+            dayLength: hasDayLengths ? other.dayLength - reference.dayLength : null
+        };
+    }
+
+    /**
+     * Create the difference block shown on a city's card in the difference modes
+     * @param {Object} differences - From getCityDifferences
+     * @param {Object} reference - The city the differences are measured from
+     */
+    createCityDiffElement(differences, reference) {
+        const rows = [
+            ['Sunrise', this.formatTimeDifference(differences.sunrise, 'later', 'earlier')],
+            ['Sunset', this.formatTimeDifference(differences.sunset, 'later', 'earlier')],
+            ['Day length', this.formatTimeDifference(differences.dayLength === null ? null : Math.round(differences.dayLength / 60), 'longer', 'shorter')]
+        ];
+        
+        const element = document.createElement('div');
+        element.className = 'city-diff';
+        element.innerHTML = `
+            <div class="city-diff-title"></div>
+            <dl class="city-diff-grid">
+                ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+            </dl>
+        `;
+        element.querySelector('.city-diff-title').textContent = `vs ${reference.name} (${this.cityCompareMode === 'utc' ? 'UTC' : 'wall clock'})`;
+        
+        return element;
+    }
+
+    /**
+     * Find which cities have the earliest sunset (local clock time) and the longest day on a date
+     * Only meaningful with two or more cities; ties highlight every tied city.
+     * @param {Array<Object>} twilights - Twilight data per city (null while loading)
+     * @returns {Object} - { earliestSunset: [indices], longestDay: [indices] }
+     */
+    getCityRowHighlights(twilights) {
+        const pickIndices = (values, pick) => {
+            const valid = values.filter(value => value !== null);
+            if (valid.length < 2) return [];
+            
+            const target = pick(...valid);
+            return values.reduce((indices, value, index) => value === target ? indices.concat(index) : indices, []);
+        };
+        
+        const usable = twilights.map(data => data && !data.error ? data : null);
+        const sunsets = usable.map(data => data ? this.dateCalc.timeToMinutes(data.sunset) : null);
+        const dayLengths = usable.map(data => data && typeof data.dayLength === 'number' ? data.dayLength : null);
+        
+        return {
+            earliestSunset: pickIndices(sunsets, Math.min),
+            longestDay: pickIndices(dayLengths, Math.max)
+        };
+    }
+
+    /**
+     * Show the exact solstice (or equinox) the current month is mirrored around
+     */
+    updateSolsticeInfo(timezone) {
+        const midMonth = new Date(this.currentMonth.getFullYear(), this.currentMonth.getMonth(), 15);
+        const axis = this.dateCalc.getNearestAxisInfo(midMonth, timezone, this.mirrorMode);
+        const label = this.dateCalc.getSeasonLabel(axis.season);
+        
+        this.elements.solsticeInfo.textContent = 
+            `${label} · ${this.dateCalc.formatSeasonTimestamp(axis.instant, timezone)}`;
+        this.elements.solsticeInfo.classList.remove('hidden');
+    }
+
+    /**
+     * Render current month column (symmetry view)
+     */
+    renderCurrentColumn(monthData) {
+        const container = this.elements.currentDates;
+        container.innerHTML = '';
+
+        monthData.forEach(item => {
+            const dateElement = this.createDateElement(
+                item.current, 
+                item.currentTwilight, 
+                item.isToday
+            );
+            this.attachSunPath(dateElement, item.current, this.currentLocation);
+            container.appendChild(dateElement);
+        });
+        
+        // Animate all cards with stagger
+        this.animateCardEntrance(container);
+    }
+
+    /**
+     * Render mirrored dates column (symmetry view)
+     */
+    renderMirroredColumn(monthData) {
+        const container = this.elements.mirroredDates;
+        container.innerHTML = '';
+
+        monthData.forEach(item => {
+            const dateElement = this.createDateElement(
+                item.mirrored, 
+                item.mirroredTwilight, 
+                false
+            );
+            this.attachSunPath(dateElement, item.mirrored, this.currentLocation);
+            container.appendChild(dateElement);
+        });
+        
+        // Animate all cards with stagger
+        this.animateCardEntrance(container);
+    }
+
+    /**
+     * Open the sun path diagram when a date card is tapped (or activated with the keyboard)
+     * @param {HTMLElement} element - The date card
+     * @param {Date} date - The card's date
+     * @param {Object} location - Location the card belongs to
+     */
+    attachSunPath(element, date, location) {
+        if (!location) return;
+        
+        element.classList.add('clickable');
+        element.tabIndex = 0;
+        element.setAttribute('aria-label', `Sun path for ${this.dateCalc.formatDate(date)}`);
+        
+        element.addEventListener('click', (e) => {
+            // The sun position panel expands in place
+            if (e.target.closest('.sun-details')) return;
+            this.openSunPath(date, location);
+        });
+        
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target === element) {
+                this.openSunPath(date, location);
+            }
+        });
+    }
+
+    /**
+     * Show the sun path diagram for a date with its mirror date overlaid
+     * @param {Date} date - The selected date
+     * @param {Object} location - Location to plot the sun's track for
+     */
+    async openSunPath(date, location) {
+        const timezone = this.getLocationTimezone(location);
+        const mirrorDate = this.dateCalc.calculateMirrorDate(date, timezone, this.mirrorMode);
+        
+        try {
+            const [twilightData, mirrorTwilight] = await Promise.all([
+                this.twilight.getTwilightTimes(date, location.lat, location.lng),
+                this.twilight.getTwilightTimes(mirrorDate, location.lat, location.lng)
+            ]);
+            
+            this.elements.sunPathTitle.textContent = `Sun path · ${location.name}`;
+            this.sunPath.render(
+                { date, twilightData, path: this.twilight.getSunPath(date, location.lat, location.lng) },
+                { date: mirrorDate, twilightData: mirrorTwilight, path: this.twilight.getSunPath(mirrorDate, location.lat, location.lng) },
+                location.lat
+            );
+            
+            this.elements.sunPathModal.classList.remove('hidden');
+            this.elements.sunPathClose.focus();
+        } catch (error) {
+            console.error('Failed to draw sun path:', error);
+        }
+    }
+
+    /**
+     * Show what the offline cache holds
+     */
+    async openCacheInfo() {
+        this.elements.cacheModal.classList.remove('hidden');
+        this.elements.cacheStats.textContent = 'Reading cache...';
+        
+        const [twilightStats, geocodingStats] = await Promise.all([
+            this.twilight.getPersistentCacheStats(),
+            this.geocoding.getPersistentCacheStats()
+        ]);
+        
+        if (!geocodingStats.available) {
+            this.elements.cacheStats.textContent = 'This browser does not allow offline storage, so data is kept for this visit only.';
+            return;
+        }
+        
+        const searches = (geocodingStats.namespaces.search || 0) + (geocodingStats.namespaces.reverse || 0);
+        const lookupDays = Math.round(geocodingStats.maxAge / 86400000);
+        
+        // Sun times are only stored when they come from the API; the local engine recomputes them
+        if (!this.twilight.persistsSunTimes()) {
+            this.elements.cacheStats.innerHTML = `
+                <p>${searches} place lookups</p>
+                <p class="cache-note">Sun times are calculated on this device and need no cache. Place lookups are kept for ${lookupDays} days.</p>
+            `;
+            return;
+        }
+        
+        const locations = Object.entries(twilightStats.namespaces)
+            .map(([namespace, count]) => `<li><span>${namespace}</span><span>${count} days</span></li>`)
+            .join('');
+        
+        this.elements.cacheStats.innerHTML = `
+            <p>${twilightStats.entries} days of sun times for ${Object.keys(twilightStats.namespaces).length} locations · ${searches} place lookups</p>
+            ${locations ? `<ul class="cache-locations">${locations}</ul>` : ''}
+            <p class="cache-note">Sun times are kept for ${Math.round(twilightStats.maxAge / 3600000)} hours, place lookups for ${lookupDays} days.</p>
+        `;
+    }
+
+    /**
+     * Empty the offline cache (and the in-memory year data built from it)
+     */
+    async clearOfflineCache() {
+        await Promise.all([
+            this.twilight.clearCache(),
+            this.geocoding.clearCache()
+        ]);
+        this.yearTwilightCache = null;
+        
+        await this.openCacheInfo();
+    }
+
+    /**
+     * Close the sun path diagram
+     */
+    closeSunPath() {
+        this.elements.sunPathModal.classList.add('hidden');
+    }
+
+    /**
+     * Open the find-a-day search for the current location
+     */
+    openDaySearch() {
+        this.elements.daySearchModal.classList.remove('hidden');
+        
+        if (!this.currentLocation) {
+            this.elements.daySearchResults.innerHTML = '<p class="day-search-summary">Choose a location first.</p>';
+        }
+        
+        this.elements.daySearchTarget.focus();
+    }
+
+    /**
+     * Close the find-a-day search
+     */
+    closeDaySearch() {
+        this.elements.daySearchModal.classList.add('hidden');
+    }
+
+    /**
+     * Put today's value of the selected target in the search field and search for it
+     */
+    fillDaySearchFromToday() {
+        if (!this.currentLocation) return;
+        
+        const now = this.dateCalc.getCurrentDate();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const target = this.elements.daySearchTarget.value;
+        const value = this.daySearch.getValue(this.currentLocation, today, target);
+        
+        if (value === null) {
+            this.elements.daySearchResults.innerHTML = `<p class="day-search-summary">There is no ${this.daySearch.TARGETS[target].label.toLowerCase()} here today.</p>`;
+            return;
+        }
+        
+        this.elements.daySearchValue.value = this.minutesToTime(value);
+        this.runDaySearch();
+    }
+
+    /**
+     * Search the displayed year for the dates that match the form and list them
+     */
+    runDaySearch() {
+        if (!this.currentLocation) return;
+        
+        const target = this.elements.daySearchTarget.value;
+        const value = this.dateCalc.timeToMinutes(this.elements.daySearchValue.value);
+        if (value === null) return;
+        
+        const year = this.currentMonth.getFullYear();
+        const matches = this.daySearch.findAll(this.currentLocation, year, target, value);
+        
+        const isDayLength = target === 'dayLength';
+        const label = this.daySearch.TARGETS[target].label;
+        const formatValue = minutes => isDayLength ? this.formatDuration(minutes * 60) : this.minutesToTime(minutes);
+        const trendWords = isDayLength ? ['getting shorter', 'steady', 'getting longer'] : ['getting earlier', 'steady', 'getting later'];
+        
+        const results = this.elements.daySearchResults;
+        const summary = document.createElement('p');
+        summary.className = 'day-search-summary';
+        summary.textContent = matches.length === 0
+            ? `${label} never reaches ${formatValue(value)} in ${year} in ${this.currentLocation.name}.`
+            : `${label} is ${formatValue(value)} on ${matches.length === 1 ? '1 date' : `${matches.length} dates`} in ${year} in ${this.currentLocation.name}:`;
+        
+        results.innerHTML = '';
+        results.appendChild(summary);
+        if (matches.length === 0) return;
+        
+        // The first match from today on is the answer to "when is it next..."
+        const now = this.dateCalc.getCurrentDate();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const next = matches.find(match => match.date >= today);
+        
+        const list = document.createElement('ul');
+        list.className = 'day-search-list';
+        matches.forEach(match => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `day-search-result ${match === next ? 'next' : ''}`;
+            button.innerHTML = `
+                <span class="day-search-date">${this.dateCalc.formatDate(match.date)}</span>
+                <span>${formatValue(match.value)}</span>
+                <span class="day-search-trend">${trendWords[match.trend + 1]}</span>
+                ${match === next ? '<span class="day-search-next">Next</span>' : ''}
+            `;
+            button.addEventListener('click', () => {
+                this.closeDaySearch();
+                this.openMonth(match.date);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        results.appendChild(list);
+    }
+
+    /**
+     * Open the calendar export, defaulting to the displayed month and the two after it
      */
-    async loadCitiesData() {
-        if (!this.city1 || !this.city2) return;
+    openCalendarExport() {
+        const start = this.currentMonth;
+        const end = new Date(start.getFullYear(), start.getMonth() + 3, 0);
+        
+        this.elements.calendarFrom.value = this.twilight.formatDateForAPI(start);
+        this.elements.calendarTo.value = this.twilight.formatDateForAPI(end);
+        this.elements.calendarStatus.textContent = this.currentLocation ? '' : 'Choose a location first.';
+        
+        this.elements.calendarModal.classList.remove('hidden');
+        this.elements.calendarFrom.focus();
+    }
 
-        const year = this.currentMonth.getFullYear();
-        const month = this.currentMonth.getMonth() + 1;
+    /**
+     * Close the calendar export
+     */
+    closeCalendarExport() {
+        this.elements.calendarModal.classList.add('hidden');
+    }
+
+    /**
+     * Build the .ics file for the chosen range and event types and download it
+     */
+    async exportCalendar() {
+        const location = this.currentLocation;
+        const status = this.elements.calendarStatus;
+        if (!location) return;
+        
+        const parseDate = (value) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+        };
+        const from = parseDate(this.elements.calendarFrom.value);
+        const to = parseDate(this.elements.calendarTo.value);
+        const dayCount = from && to ? this.dateCalc.getDayNumber(to) - this.dateCalc.getDayNumber(from) + 1 : 0;
         
-        // Get all dates for the month (no mirroring for cities view)
-        const monthDates = this.dateCalc.getMonthDates(year, month);
+        if (dayCount < 1 || dayCount > this.CALENDAR_MAX_DAYS) {
+            status.textContent = `Choose a range of 1 to ${this.CALENDAR_MAX_DAYS} days.`;
+            return;
+        }
         
-        // Initialize data structure
-        const citiesData = monthDates.map(date => ({
-            date: date,
-            city1Twilight: null,
-            city2Twilight: null,
-            isToday: this.dateCalc.isToday(date)
-        }));
+        const types = Array.from(this.elements.calendarForm.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => input.value);
+        if (types.length === 0) {
+            status.textContent = 'Choose at least one kind of event.';
+            return;
+        }
         
-        this.renderCitiesData(citiesData);
+        status.textContent = 'Building calendar...';
         
         try {
-            const chunkSize = 10; // Can process more since we're not dealing with mirrors
-            const chunks = [];
+            // A week before the range tells whether the first working day in it already had light
+            const lookBack = 7;
+            const dates = Array.from({ length: dayCount + lookBack }, (_, index) =>
+                new Date(from.getFullYear(), from.getMonth(), from.getDate() + index - lookBack)
+            );
+            const twilightResults = await this.twilight.getBatchTwilightTimes(dates, location.lat, location.lng);
+            const days = dates.map((date, index) => ({ date, twilightData: twilightResults[index] }));
+            const rangeDays = days.slice(lookBack);
             
-            for (let i = 0; i < citiesData.length; i += chunkSize) {
-                chunks.push(citiesData.slice(i, i + chunkSize));
+            const events = this.icsExport.getLightEvents(rangeDays, types.filter(type => type !== 'lightAfterWork'), location);
+            if (types.includes('lightAfterWork')) {
+                this.getLightAfterWorkReturns(days)
+                    .filter(day => day.date >= from)
+                    .forEach(day => {
+                        const detail = `${this.workSettings.threshold === 'dusk' ? 'Dusk' : 'Sunset'} at ${day.twilightData[this.workSettings.threshold]}, after work ends at ${this.minutesToTime(this.getWorkTargetMinutes())}`;
+                        events.push(this.icsExport.getAllDayEvent('lightAfterWork', day.date, location, detail));
+                    });
             }
             
-            for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-                const chunk = chunks[chunkIndex];
-                const dates = chunk.map(item => item.date);
-                
-                // Fetch data for both cities in parallel
-                const [city1Results, city2Results] = await Promise.all([
-                    this.twilight.getBatchTwilightTimes(dates, this.city1.lat, this.city1.lng),
-                    this.twilight.getBatchTwilightTimes(dates, this.city2.lat, this.city2.lng)
-                ]);
-                
-                // Map results back
-                chunk.forEach((item, localIndex) => {
-                    const globalIndex = chunkIndex * chunkSize + localIndex;
-                    citiesData[globalIndex].city1Twilight = city1Results[localIndex];
-                    citiesData[globalIndex].city2Twilight = city2Results[localIndex];
-                });
-                
-                this.renderCitiesData(citiesData);
-                
-                if (chunkIndex < chunks.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-            }
+            const timezone = this.getLocationTimezone(location);
+            const ics = this.icsExport.build({ name: `Solar Symmetry · ${location.name}`, timezone, events });
+            
+            this.downloadFile(
+                `solar-symmetry-${this.getFileSlug(location.name)}-${this.elements.calendarFrom.value}-to-${this.elements.calendarTo.value}.ics`,
+                ics,
+                'text/calendar;charset=utf-8'
+            );
+            
+            status.textContent = `${events.length} events exported, times in ${timezone}.`;
         } catch (error) {
-            console.error('Failed to load cities twilight data:', error);
-            this.renderCitiesData(citiesData);
+            console.error('Failed to export calendar:', error);
+            status.textContent = 'Could not build the calendar. Please try again.';
         }
     }
 
-    // =================================================================
-    // RENDERING METHODS
-    // =================================================================
-
     /**
-     * Render symmetry view data
+     * Find the working days on which light after work returns
+     * (the first working day with light after one without)
+     * @param {Array<Object>} days - Consecutive items of { date, twilightData }
+     * @returns {Array<Object>} - The matching items
      */
-    renderSymmetryData(monthData) {
-        this.renderCurrentColumn(monthData);
-        this.renderMirroredColumn(monthData);
+    getLightAfterWorkReturns(days) {
+        const returns = [];
+        let previousHadLight = null;
+        
+        days.forEach(day => {
+            if (!this.isWorkDay(day.date) || !day.twilightData || day.twilightData.error) return;
+            
+            const hasLight = this.hasLightAfterWork(day.twilightData);
+            if (hasLight && previousHadLight === false) {
+                returns.push(day);
+            }
+            previousHadLight = hasLight;
+        });
+        
+        return returns;
     }
 
     /**
-     * Render cities view data
+     * Download the loaded table of the current view as CSV or JSON
+     * Symmetry: one row per date with its mirror date (month or whole year).
+     * Cities: one row per date and city.
+     * @param {string} format - 'csv' or 'json'
      */
-    renderCitiesData(citiesData) {
-        this.renderCity1Column(citiesData);
-        this.renderCity2Column(citiesData);
+    async exportTable(format) {
+        const table = this.currentView === 'cities'
+            ? this.getCitiesTable()
+            : await this.getSymmetryTable();
+        if (!table) return;
+        
+        const content = format === 'json'
+            ? this.tableExport.toJson(table.meta, table.columns, table.rows)
+            : this.tableExport.toCsv(table.columns, table.rows);
+        
+        this.downloadFile(
+            `${table.filename}.${format}`,
+            content,
+            format === 'json' ? 'application/json' : 'text/csv;charset=utf-8'
+        );
     }
 
     /**
-     * Render current month column (symmetry view)
+     * Rows of the symmetry view: the displayed month, or the whole year in the year layout
+     * @returns {Promise<Object|null>} - { meta, columns, rows, filename }
      */
-    renderCurrentColumn(monthData) {
-        const container = this.elements.currentDates;
-        container.innerHTML = '';
-
-        monthData.forEach(item => {
-            const dateElement = this.createDateElement(
-                item.current, 
-                item.currentTwilight, 
-                item.isToday
-            );
-            container.appendChild(dateElement);
-        });
+    async getSymmetryTable() {
+        const location = this.currentLocation;
+        if (!location) return null;
         
-        // Animate all cards with stagger
-        this.animateCardEntrance(container);
+        const isYear = this.symmetryLayout === 'year';
+        const year = this.currentMonth.getFullYear();
+        let items = this.monthData || [];
+        
+        if (isYear) {
+            // The year data only holds each date's own twilight; mirrors are looked up within it
+            const yearData = await this.getYearTwilightData(year);
+            const byDate = new Map(yearData.map(item => [this.tableExport.formatDate(item.current), item.currentTwilight]));
+            items = yearData.map(item => ({
+                ...item,
+                mirroredTwilight: byDate.get(this.tableExport.formatDate(item.mirrored)) || null
+            }));
+        }
+        
+        const columns = [
+            'date',
+            ...this.tableExport.getTwilightColumns(),
+            'mirrorDate',
+            ...this.tableExport.getTwilightColumns('mirror')
+        ];
+        const rows = items.map(item => ({
+            date: this.tableExport.formatDate(item.current),
+            ...this.tableExport.getTwilightValues(this.twilight.addMoonTimes(item.currentTwilight, item.current)),
+            mirrorDate: this.tableExport.formatDate(item.mirrored),
+            ...this.tableExport.getTwilightValues(this.twilight.addMoonTimes(item.mirroredTwilight, item.mirrored), 'mirror')
+        }));
+        
+        const period = isYear ? String(year) : this.twilight.formatDateForAPI(this.currentMonth).slice(0, 7);
+        
+        return {
+            meta: { view: 'symmetry', layout: this.symmetryLayout, period, mirrorMode: this.mirrorMode, location },
+            columns,
+            rows,
+            filename: `solar-symmetry-${this.getFileSlug(location.name)}-${period}`
+        };
     }
 
     /**
-     * Render mirrored dates column (symmetry view)
+     * Rows of the cities view: one per date and city
+     * In match mode the other cities' rows hold their matching date, as the view shows:
+     * matchValue is a sunset time or a day length in seconds, matchDifference in minutes or seconds.
+     * @returns {Object|null} - { meta, columns, rows, filename }
      */
-    renderMirroredColumn(monthData) {
-        const container = this.elements.mirroredDates;
-        container.innerHTML = '';
-
-        monthData.forEach(item => {
-            const dateElement = this.createDateElement(
-                item.mirrored, 
-                item.mirroredTwilight, 
-                false
-            );
-            container.appendChild(dateElement);
+    getCitiesTable() {
+        if (!this.citiesData || this.cities.length === 0) return null;
+        
+        const isMatchMode = this.cityCompareMode === 'match' && this.cities.length > 1;
+        const matchColumns = isMatchMode ? ['matchDate', 'matchValue', 'matchDifference', 'matchIsClose'] : [];
+        const columns = ['date', 'city', 'lat', 'lng', ...matchColumns, ...this.tableExport.getTwilightColumns()];
+        const rows = [];
+        
+        this.citiesData.forEach(item => {
+            this.cities.forEach((city, index) => {
+                const row = {
+                    date: this.tableExport.formatDate(item.date),
+                    city: city.name,
+                    lat: city.lat,
+                    lng: city.lng
+                };
+                let twilightData = this.twilight.addMoonTimes(item.twilights[index], item.date);
+                
+                if (isMatchMode) {
+                    // The reference city is matched against, so its own date is its match
+                    const match = index > 0 && item.matches ? item.matches[index] : null;
+                    if (index > 0) {
+                        twilightData = match ? this.twilight.addMoonTimes(match.twilightData, match.date) : null;
+                    }
+                    
+                    let matchValue = null;
+                    if (match) {
+                        matchValue = this.cityMatchBy === 'sunset' ? this.minutesToTime(match.value) : match.value;
+                    }
+                    
+                    Object.assign(row, {
+                        matchDate: index === 0 ? row.date : (match ? this.tableExport.formatDate(match.date) : null),
+                        matchValue,
+                        matchDifference: match ? match.difference : null,
+                        matchIsClose: match ? match.isClose : null
+                    });
+                }
+                
+                rows.push({ ...row, ...this.tableExport.getTwilightValues(twilightData) });
+            });
         });
         
-        // Animate all cards with stagger
-        this.animateCardEntrance(container);
+        const period = this.twilight.formatDateForAPI(this.currentMonth).slice(0, 7);
+        const comparison = isMatchMode ? { compare: 'match', matchBy: this.cityMatchBy } : { compare: this.cityCompareMode };
+        
+        return {
+            meta: { view: 'cities', period, ...comparison, cities: this.cities },
+            columns,
+            rows,
+            filename: `solar-symmetry-cities-${period}`
+        };
     }
 
     /**
-     * Render city 1 column (cities view)
+     * Turn a place name into a file name part, e.g. "London, England" -> "london"
      */
-    renderCity1Column(citiesData) {
-        const container = this.elements.city1Dates;
-        container.innerHTML = '';
-
-        citiesData.forEach(item => {
-            const dateElement = this.createDateElement(
-                item.date,
-                item.city1Twilight,
-                item.isToday
-            );
-            container.appendChild(dateElement);
-        });
-
-        // Animate all cards with stagger
-        this.animateCardEntrance(container);
+    getFileSlug(name) {
+        return name.split(',')[0].toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'location';
     }
 
     /**
-     * Render city 2 column (cities view)
+     * Offer text content as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
      */
-    renderCity2Column(citiesData) {
-        const container = this.elements.city2Dates;
-        container.innerHTML = '';
-
-        citiesData.forEach(item => {
-            const dateElement = this.createDateElement(
-                item.date,
-                item.city2Twilight,
-                item.isToday
-            );
-            container.appendChild(dateElement);
-        });
-
-        // Animate all cards with stagger
-        this.animateCardEntrance(container);
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
@@ -1113,26 +2760,15 @@ class SolarSymmetryApp {
         if (twilightData && !twilightData.error) {
             // Dawn (Civil Twilight Begin)
             const dawnTime = document.createElement('div');
-            dawnTime.className = 'twilight-time';
+            dawnTime.className = `twilight-time tier-civil ${this.twilightTiers.includes('civil') ? '' : 'hidden'}`;
             dawnTime.innerHTML = `
                 <i data-lucide="sunrise" class="time-icon"></i>
                 <div>
                     <div class="time-label">Dawn</div>
-                    <div>${twilightData.dawn}</div>
+                    <div>${this.formatEvent(twilightData, 'dawn')}</div>
                 </div>
             `;
             
-            // Golden Hour Morning (if enabled)
-            const goldenHourMorning = document.createElement('div');
-            goldenHourMorning.className = `twilight-time golden-hour ${this.showGoldenHour ? '' : 'hidden'}`;
-            goldenHourMorning.innerHTML = `
-                <i data-lucide="camera" class="time-icon"></i>
-                <div>
-                    <div class="time-label">Golden AM</div>
-                    <div>${twilightData.goldenHourMorningStart || 'N/A'} – ${twilightData.goldenHourMorningEnd || 'N/A'}</div>
-                </div>
-            `;
-
             // Sunrise
             const sunriseTime = document.createElement('div');
             sunriseTime.className = 'twilight-time';
@@ -1140,7 +2776,7 @@ class SolarSymmetryApp {
                 <i data-lucide="sun" class="time-icon"></i>
                 <div>
                     <div class="time-label">Sunrise</div>
-                    <div>${twilightData.sunrise}</div>
+                    <div>${this.formatEvent(twilightData, 'sunrise')}</div>
                 </div>
             `;
 
@@ -1151,38 +2787,39 @@ class SolarSymmetryApp {
                 <i data-lucide="sun" class="time-icon"></i>
                 <div>
                     <div class="time-label">Sunset</div>
-                    <div>${twilightData.sunset}</div>
+                    <div>${this.formatEvent(twilightData, 'sunset')}</div>
                 </div>
             `;
             
-            // Golden Hour Evening (if enabled)
-            const goldenHourEvening = document.createElement('div');
-            goldenHourEvening.className = `twilight-time golden-hour ${this.showGoldenHour ? '' : 'hidden'}`;
-            goldenHourEvening.innerHTML = `
-                <i data-lucide="camera" class="time-icon"></i>
-                <div>
-                    <div class="time-label">Golden PM</div>
-                    <div>${twilightData.goldenHourEveningStart || 'N/A'} – ${twilightData.goldenHourEveningEnd || 'N/A'}</div>
-                </div>
-            `;
-
             // Dusk (Civil Twilight End)
             const duskTime = document.createElement('div');
-            duskTime.className = 'twilight-time';
+            duskTime.className = `twilight-time tier-civil ${this.twilightTiers.includes('civil') ? '' : 'hidden'}`;
             duskTime.innerHTML = `
                 <i data-lucide="sunset" class="time-icon"></i>
                 <div>
                     <div class="time-label">Dusk</div>
-                    <div>${twilightData.dusk}</div>
+                    <div>${this.formatEvent(twilightData, 'dusk')}</div>
                 </div>
             `;
 
+            // Polar day / night banner
+            if (twilightData.lightState && twilightData.lightState !== 'normal') {
+                twilightTimes.appendChild(this.createLightStateElement(twilightData.lightState));
+            }
+            
+            // Photography windows (blue and golden hour, if enabled) sit between the events they fall between
             twilightTimes.appendChild(dawnTime);
-            twilightTimes.appendChild(goldenHourMorning);
+            this.createPhotoWindowElements(twilightData, 'blueHour', 'morning').forEach(row => twilightTimes.appendChild(row));
+            this.createPhotoWindowElements(twilightData, 'goldenHour', 'morning').forEach(row => twilightTimes.appendChild(row));
             twilightTimes.appendChild(sunriseTime);
             twilightTimes.appendChild(sunsetTime);
-            twilightTimes.appendChild(goldenHourEvening);
+            this.createPhotoWindowElements(twilightData, 'goldenHour', 'evening').forEach(row => twilightTimes.appendChild(row));
+            this.createPhotoWindowElements(twilightData, 'blueHour', 'evening').forEach(row => twilightTimes.appendChild(row));
             twilightTimes.appendChild(duskTime);
+            twilightTimes.appendChild(this.createMoonElement(twilightData, date));
+            this.createTierElements(twilightData, 'nautical').forEach(row => twilightTimes.appendChild(row));
+            this.createTierElements(twilightData, 'astronomical').forEach(row => twilightTimes.appendChild(row));
+            twilightTimes.appendChild(this.createDayLengthElement(twilightData));
             
             // Re-initialize Lucide icons for dynamically added content
             if (window.lucide) {
@@ -1197,9 +2834,257 @@ class SolarSymmetryApp {
         element.appendChild(dateHeader);
         element.appendChild(twilightTimes);
         
+        if (twilightData && !twilightData.error && twilightData.solarNoon) {
+            element.appendChild(this.createSunDetailsElement(twilightData));
+        }
+        
         return element;
     }
     
+    /**
+     * Create the golden or blue hour row for one half of the day
+     * A single window (around noon, all day or missing) is shown once, full width, in the morning slot.
+     * @param {Object} twilightData - Processed twilight data
+     * @param {string} kind - 'goldenHour' or 'blueHour'
+     * @param {string} half - 'morning' or 'evening'
+     * @returns {Array<HTMLElement>} - Rows to append (possibly none)
+     */
+    createPhotoWindowElements(twilightData, kind, half) {
+        const state = twilightData[`${kind}State`] || 'none';
+        const isGolden = kind === 'goldenHour';
+        const name = isGolden ? 'Golden' : 'Blue';
+        const isSingle = state === 'midday' || state === 'allDay' || state === 'none';
+        
+        if (isSingle && half === 'evening') return [];
+        
+        const row = document.createElement('div');
+        row.className = `twilight-time golden-hour ${isGolden ? '' : 'blue-hour'} ${isSingle ? 'photo-window-wide' : ''} ${this.showGoldenHour ? '' : 'hidden'}`;
+        
+        let label = `${name} ${half === 'morning' ? 'AM' : 'PM'}`;
+        let value = `${twilightData[`${kind}${half === 'morning' ? 'Morning' : 'Evening'}Start`]} – ${twilightData[`${kind}${half === 'morning' ? 'Morning' : 'Evening'}End`]}`;
+        
+        if (state === 'none') {
+            label = `${name} hour`;
+            value = 'None today';
+        } else if (state === 'midday') {
+            // Polar night: the sun only reaches the band around noon
+            label = `${name} hour`;
+            value = `${twilightData[`${kind}MorningStart`]} – ${twilightData[`${kind}EveningEnd`]}`;
+        } else if (state === 'allDay') {
+            label = `${name} hour all day`;
+            value = 'The sun stays in the band all day';
+        }
+        
+        row.innerHTML = `
+            <i data-lucide="${isGolden ? 'camera' : 'aperture'}" class="time-icon"></i>
+            <div>
+                <div class="time-label">${label}</div>
+                <div>${value}</div>
+            </div>
+        `;
+        
+        return [row];
+    }
+
+    /**
+     * Create the moon row: phase, illumination and moonrise/moonset
+     * Nights with a thin moon (25% or less lit) are flagged as dark skies.
+     * Moonrise/moonset are only computed while the row is shown (toggleMoon re-renders).
+     */
+    createMoonElement(twilightData, date) {
+        if (this.showMoon) {
+            this.twilight.addMoonTimes(twilightData, date);
+        }
+        
+        const illumination = Math.round((twilightData.moonIllumination || 0) * 100);
+        const isDarkSky = twilightData.moonIllumination !== undefined && twilightData.moonIllumination <= 0.25;
+        
+        let times = `Rise ${twilightData.moonrise} · Set ${twilightData.moonset}`;
+        if (twilightData.moonState === 'above') times = 'Up all day';
+        if (twilightData.moonState === 'below') times = 'Down all day';
+        if (twilightData.moonState === undefined) times = ''; // Hidden row, not computed yet
+        
+        const moon = document.createElement('div');
+        moon.className = `twilight-time moon-row ${this.showMoon ? '' : 'hidden'}`;
+        moon.innerHTML = `
+            <i data-lucide="moon" class="time-icon"></i>
+            <div>
+                <div class="time-label">${twilightData.moonPhaseName || 'Moon'} · ${illumination}%</div>
+                <div>${times}</div>
+            </div>
+            ${isDarkSky ? '<span class="dark-sky-badge">Dark skies</span>' : ''}
+        `;
+        
+        return moon;
+    }
+
+    /**
+     * Create the expandable sun position panel: solar noon, max elevation and rise/set azimuths
+     */
+    createSunDetailsElement(twilightData) {
+        const details = document.createElement('details');
+        details.className = 'sun-details';
+        details.innerHTML = `
+            <summary>
+                <i data-lucide="compass" class="time-icon"></i>
+                <span>Sun position</span>
+            </summary>
+            <dl class="sun-details-grid">
+                <dt>Solar noon</dt>
+                <dd>${twilightData.solarNoon}</dd>
+                <dt>Max elevation</dt>
+                <dd>${twilightData.maxElevation.toFixed(1)}°</dd>
+                <dt>Sunrise azimuth</dt>
+                <dd>${this.formatAzimuth(twilightData.sunriseAzimuth)}</dd>
+                <dt>Sunset azimuth</dt>
+                <dd>${this.formatAzimuth(twilightData.sunsetAzimuth)}</dd>
+            </dl>
+        `;
+        
+        return details;
+    }
+
+    /**
+     * Format an azimuth as degrees plus a compass point, e.g. "128° SE"
+     * @param {number|null} azimuth - Degrees clockwise from north
+     */
+    formatAzimuth(azimuth) {
+        if (azimuth === null || azimuth === undefined) return '—';
+        
+        const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        return `${Math.round(azimuth)}° ${points[Math.round(azimuth / 22.5) % 16]}`;
+    }
+
+    /**
+     * Create the full-width banner for midnight sun, polar night or white nights
+     * @param {string} lightState - 'midnightSun', 'polarNight' or 'whiteNight'
+     */
+    createLightStateElement(lightState) {
+        const info = this.getLightStateInfo(lightState);
+        
+        const banner = document.createElement('div');
+        banner.className = `twilight-time light-state ${lightState}`;
+        banner.innerHTML = `
+            <i data-lucide="${info.icon}" class="time-icon"></i>
+            <div>
+                <div class="time-label">${info.label}</div>
+                <div>${info.description}</div>
+            </div>
+        `;
+        
+        return banner;
+    }
+
+    /**
+     * Label, description and icon for a polar light state
+     */
+    getLightStateInfo(lightState) {
+        const states = {
+            midnightSun: { label: 'Midnight sun', description: 'The sun never sets', icon: 'sun' },
+            polarNight: { label: 'Polar night', description: 'The sun never rises', icon: 'moon' },
+            whiteNight: { label: 'White night', description: 'Twilight lasts all night', icon: 'sun-dim' }
+        };
+        
+        return states[lightState] || { label: 'Daylight', description: '', icon: 'sun' };
+    }
+
+    /**
+     * Get whether a sunrise/sunset/dawn/dusk event happens
+     * @param {Object} twilightData - Processed twilight data
+     * @param {string} event - 'sunrise', 'sunset', 'dawn' or 'dusk'
+     * @returns {string} - 'normal', 'above' (sun stays above that altitude) or 'below' (never reaches it)
+     */
+    getEventState(twilightData, event) {
+        const state = event === 'sunrise' || event === 'sunset' ? twilightData.sunState : twilightData.civilState;
+        return state || 'normal';
+    }
+
+    /**
+     * Format a sunrise/sunset/dawn/dusk value, spelling out events that don't happen
+     */
+    formatEvent(twilightData, event) {
+        const state = this.getEventState(twilightData, event);
+        if (state === 'normal') return twilightData[event];
+        
+        if (event === 'sunrise' || event === 'sunset') {
+            return state === 'above' ? 'Up all day' : 'Down all day';
+        }
+        
+        return state === 'above' ? 'All night' : 'None';
+    }
+
+    /**
+     * Create the dawn/dusk rows for a deeper twilight tier
+     * Where the tier doesn't happen, a single full-width row explains why.
+     * @param {Object} twilightData - Processed twilight data
+     * @param {string} tier - 'nautical' or 'astronomical'
+     * @returns {Array<HTMLElement>} - Rows to append
+     */
+    createTierElements(twilightData, tier) {
+        const label = tier === 'nautical' ? 'Nautical' : 'Astro';
+        const visibility = this.twilightTiers.includes(tier) ? '' : 'hidden';
+        const state = twilightData[`${tier}State`] || 'normal';
+        
+        if (state !== 'normal') {
+            const altitude = Math.abs(this.twilight.solar.ALTITUDES[tier]);
+            const message = state === 'above'
+                ? (tier === 'astronomical' ? 'Never fully dark · twilight all night' : `Sun stays above −${altitude}° all night`)
+                : `Sun stays below −${altitude}° all day`;
+            
+            const row = document.createElement('div');
+            row.className = `twilight-time tier-${tier} tier-state ${visibility}`;
+            row.innerHTML = `
+                <i data-lucide="${state === 'above' ? 'sun-dim' : 'moon'}" class="time-icon"></i>
+                <div>
+                    <div class="time-label">${label} twilight</div>
+                    <div>${message}</div>
+                </div>
+            `;
+            return [row];
+        }
+        
+        return [
+            { name: 'dawn', icon: 'sunrise' },
+            { name: 'dusk', icon: 'sunset' }
+        ].map(({ name, icon }) => {
+            const row = document.createElement('div');
+            row.className = `twilight-time tier-${tier} ${visibility}`;
+            row.innerHTML = `
+                <i data-lucide="${icon}" class="time-icon"></i>
+                <div>
+                    <div class="time-label">${label} ${name}</div>
+                    <div>${twilightData[tier + name.charAt(0).toUpperCase() + name.slice(1)]}</div>
+                </div>
+            `;
+            return row;
+        });
+    }
+
+    /**
+     * Create the day length row: length of day, civil twilight and change since yesterday
+     */
+    createDayLengthElement(twilightData) {
+        const delta = twilightData.dayLengthDelta;
+        const trend = delta === null || delta === undefined || delta === 0 ? 'steady' : (delta > 0 ? 'gaining' : 'losing');
+        const trendIcon = { gaining: 'trending-up', losing: 'trending-down', steady: 'minus' }[trend];
+        
+        const dayLength = document.createElement('div');
+        dayLength.className = 'twilight-time day-length';
+        dayLength.innerHTML = `
+            <i data-lucide="hourglass" class="time-icon"></i>
+            <div>
+                <div class="time-label">Day length</div>
+                <div>${this.formatDuration(twilightData.dayLength)} <span class="twilight-length">· twilight ${this.formatDuration(twilightData.civilTwilightLength)}</span></div>
+            </div>
+            <div class="day-length-delta ${trend}" title="Change since the day before">
+                <i data-lucide="${trendIcon}" class="time-icon"></i>
+                <span>${this.formatDelta(delta)}</span>
+            </div>
+        `;
+        
+        return dayLength;
+    }
+
     /**
      * Animate card entrance with stagger effect
      */
@@ -1260,6 +3145,10 @@ class SolarSymmetryApp {
         
         currentContainer.innerHTML = '';
         mirroredContainer.innerHTML = '';
+        this.elements.solsticeInfo.classList.add('hidden');
+        this.elements.yearOverview.innerHTML = '';
+        this.elements.daylightChart.innerHTML = '';
+        this.elements.yearOverview.appendChild(emptyMessage.cloneNode(true));
         currentContainer.appendChild(emptyMessage.cloneNode(true));
         mirroredContainer.appendChild(emptyMessage);
     }
@@ -1268,40 +3157,38 @@ class SolarSymmetryApp {
      * Render cities view empty state
      */
     renderCitiesEmptyState() {
-        const city1Container = this.elements.city1Dates;
-        const city2Container = this.elements.city2Dates;
-        
-        const city1Empty = document.createElement('div');
-        city1Empty.className = 'empty-state';
-        city1Empty.innerHTML = `
-            <div class="empty-icon"><i data-lucide="globe" style="width: 48px; height: 48px;"></i></div>
-            <p>Select your first city above</p>
-            <small>Choose any city worldwide</small>
-        `;
-        
-        const city2Empty = document.createElement('div');
-        city2Empty.className = 'empty-state';
-        city2Empty.innerHTML = `
-            <div class="empty-icon"><i data-lucide="map-pin" style="width: 48px; height: 48px;"></i></div>
-            <p>Select your second city above</p>
-            <small>Compare sun times side by side</small>
+        const table = this.elements.citiesTable;
+        table.innerHTML = `
+            <tbody>
+                <tr>
+                    <td>
+                        <div class="empty-state">
+                            <div class="empty-icon"><i data-lucide="globe" style="width: 48px; height: 48px;"></i></div>
+                            <p>Add cities above to compare them</p>
+                            <small>Up to ${this.MAX_CITIES} cities worldwide, side by side</small>
+                        </div>
+                    </td>
+                </tr>
+            </tbody>
         `;
         
         // Re-initialize Lucide icons
         if (window.lucide) {
             setTimeout(() => window.lucide.createIcons(), 0);
         }
-        
-        city1Container.innerHTML = '';
-        city2Container.innerHTML = '';
-        city1Container.appendChild(city1Empty);
-        city2Container.appendChild(city2Empty);
     }
 
     // =================================================================
     // UTILITY METHODS
     // =================================================================
 
+    /**
+     * Get the IANA timezone for a location
+     */
+    getLocationTimezone(location) {
+        return this.twilight.getTimezoneForCoordinates(location.lat, location.lng);
+    }
+
     /**
      * Format date as key for deduplication
      */
@@ -1309,6 +3196,54 @@ class SolarSymmetryApp {
         return date.toISOString().split('T')[0];
     }
 
+    /**
+     * Convert minutes after midnight to an "HH:MM" time string
+     */
+    minutesToTime(minutes) {
+        const wrapped = ((minutes % 1440) + 1440) % 1440;
+        return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a duration in seconds as "10h 32m"
+     */
+    formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return 'N/A';
+        
+        const totalMinutes = Math.round(seconds / 60);
+        return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+    }
+
+    /**
+     * Format a signed difference in minutes as "1h 12m later" / "25m earlier" (or with the given words)
+     */
+    formatTimeDifference(minutes, laterWord, earlierWord) {
+        if (minutes === null || minutes === undefined) return '—';
+        if (minutes === 0) return 'Same';
+        
+        const absolute = Math.abs(minutes);
+        const hours = Math.floor(absolute / 60);
+        const amount = hours > 0 ? `${hours}h ${String(absolute % 60).padStart(2, '0')}m` : `${absolute}m`;
+        
+        return `${amount} ${minutes > 0 ? laterWord : earlierWord}`;
+    }
+
+    /**
+     * Format a signed day length change in seconds as "+2m 15s" / "−1m 03s"
+     */
+    formatDelta(seconds) {
+        if (seconds === null || seconds === undefined) return 'N/A';
+        
+        const sign = seconds > 0 ? '+' : (seconds < 0 ? '−' : '±');
+        const absolute = Math.abs(Math.round(seconds));
+        const minutes = Math.floor(absolute / 60);
+        const rest = absolute % 60;
+        
+        return minutes > 0
+            ? `${sign}${minutes}m ${String(rest).padStart(2, '0')}s`
+            : `${sign}${rest}s`;
+    }
+
     /**
      * Show loading indicator
      */
@@ -1345,35 +3280,22 @@ class SolarSymmetryApp {
         this.currentLocation = null;
         this.hideLocationDropdown();
         localStorage.removeItem('solarSymmetry_location');
+        this.syncUrl();
         this.renderSymmetryEmptyState();
         this.elements.locationInput.focus();
     }
 
     /**
-     * Clear city input (Cities view)
+     * Clear the city search input (Cities view)
+     * @param {boolean} focus - Put the cursor back in the input
      */
-    clearCityInput(cityNumber) {
-        if (cityNumber === 1) {
-            this.elements.city1Input.value = '';
-            this.elements.city1ClearBtn.classList.add('hidden');
-            this.elements.city1Header.textContent = 'Select First City';
-            this.city1 = null;
-            this.hideCityDropdown(1);
-            localStorage.removeItem('solarSymmetry_city1');
-            this.elements.city1Input.focus();
-        } else {
-            this.elements.city2Input.value = '';
-            this.elements.city2ClearBtn.classList.add('hidden');
-            this.elements.city2Header.textContent = 'Select Second City';
-            this.city2 = null;
-            this.hideCityDropdown(2);
-            localStorage.removeItem('solarSymmetry_city2');
-            this.elements.city2Input.focus();
-        }
+    clearCityInput(focus = true) {
+        this.elements.cityInput.value = '';
+        this.elements.cityClearBtn.classList.add('hidden');
+        this.hideCityDropdown();
         
-        // Refresh the cities view if needed
-        if (this.currentView === 'cities') {
-            this.renderCitiesEmptyState();
+        if (focus) {
+            this.elements.cityInput.focus();
         }
     }
 }
@@ -0,0 +1,278 @@
+/**
+ * Daylight Chart
+ * Plots dawn, sunrise, sunset and dusk across a year, plus total daylight hours
+ */
+
+class DaylightChart {
+    /**
+     * @param {HTMLElement} container - Element the chart is rendered into
+     * @param {DateCalculations} dateCalc - Shared date helpers
+     */
+    constructor(container, dateCalc) {
+        this.container = container;
+        this.dateCalc = dateCalc;
+        this.yearData = [];
+
+        // SVG layout (viewBox units)
+        this.width = 1000;
+        this.marginLeft = 44;
+        this.marginRight = 16;
+        this.timeTop = 24;
+        this.timeHeight = 220; // Time-of-day panel (00:00 at the top, 24:00 at the bottom)
+        this.hoursTop = 276;
+        this.hoursHeight = 80; // Daylight hours panel
+
+        this.container.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.container.addEventListener('mouseleave', () => this.hideReadout());
+    }
+
+    /**
+     * Render the chart
+     * @param {Array} yearData - Items of { current, currentTwilight } for every day of the year
+     * @param {Array} highlights - Ranges to shade: { start, end, label, className }
+     */
+    render(yearData, highlights = []) {
+        this.yearData = yearData;
+        if (yearData.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const series = yearData.map(item => this.getDaySeries(item.currentTwilight));
+        const hours = series.map(day => day.hours).filter(value => value !== null);
+        const maxHours = hours.length ? Math.ceil(Math.max(...hours) / 4) * 4 || 4 : 24;
+        const bottom = this.hoursTop + this.hoursHeight;
+
+        const bands = [
+            this.createBand(series, 'dawn', 'sunrise', 'chart-band twilight'),
+            this.createBand(series, 'sunset', 'dusk', 'chart-band twilight'),
+            this.createBand(series, 'sunrise', 'sunset', 'chart-band daylight')
+        ].join('');
+
+        const curves = ['dawn', 'sunrise', 'sunset', 'dusk']
+            .map(key => this.createLine(series, day => day[key] === null ? null : this.getTimeY(day[key]), `chart-line ${key}`))
+            .join('');
+
+        const hoursLine = this.createLine(series, day => day.hours === null ? null : this.getHoursY(day.hours, maxHours), 'chart-line hours');
+
+        const shading = highlights.map(range => {
+            const start = this.getIndexForDate(range.start);
+            const end = this.getIndexForDate(range.end);
+            if (start === -1 || end === -1) return '';
+            const x = this.getX(Math.min(start, end));
+            const width = this.getX(Math.max(start, end) + 1) - x;
+            return `<rect class="chart-highlight ${range.className}" x="${x.toFixed(2)}" y="${this.timeTop}" width="${width.toFixed(2)}" height="${bottom - this.timeTop}"/>
+                <text class="chart-highlight-label ${range.className}" x="${(x + width / 2).toFixed(2)}" y="${this.timeTop - 8}" text-anchor="middle">${range.label}</text>`;
+        }).join('');
+
+        const timeGrid = [0, 6, 12, 18, 24].map(hour => {
+            const y = this.getTimeY(hour * 60);
+            return `<line class="chart-grid" x1="${this.marginLeft}" y1="${y}" x2="${this.width - this.marginRight}" y2="${y}"/>
+                <text class="chart-axis-label" x="${this.marginLeft - 6}" y="${y + 4}" text-anchor="end">${String(hour).padStart(2, '0')}:00</text>`;
+        }).join('');
+
+        const hoursGrid = [0, maxHours / 2, maxHours].map(value => {
+            const y = this.getHoursY(value, maxHours);
+            return `<line class="chart-grid" x1="${this.marginLeft}" y1="${y}" x2="${this.width - this.marginRight}" y2="${y}"/>
+                <text class="chart-axis-label" x="${this.marginLeft - 6}" y="${y + 4}" text-anchor="end">${value}h</text>`;
+        }).join('');
+
+        const year = yearData[0].current.getFullYear();
+        const monthLabels = Array.from({ length: 12 }, (_, month) => {
+            const index = this.getIndexForDate(new Date(year, month, 1));
+            const label = new Date(2000, month, 1).toLocaleDateString('en-US', { month: 'short' });
+            return `<text class="chart-axis-label" x="${this.getX(index) + 2}" y="${bottom + 18}">${label}</text>`;
+        }).join('');
+
+        const todayIndex = yearData.findIndex(item => item.isToday || this.dateCalc.isToday(item.current));
+        const todayMarker = todayIndex === -1 ? '' : (() => {
+            const x = this.getX(todayIndex) + this.getDayWidth() / 2;
+            return `<line class="chart-today" x1="${x}" y1="${this.timeTop}" x2="${x}" y2="${bottom}"/>`;
+        })();
+
+        this.container.innerHTML = `
+            <svg class="daylight-chart-svg" viewBox="0 0 ${this.width} ${bottom + 28}" xmlns="http://www.w3.org/2000/svg">
+                <rect class="chart-night" x="${this.marginLeft}" y="${this.timeTop}" width="${this.getX(yearData.length) - this.marginLeft}" height="${this.timeHeight}"/>
+                ${bands}
+                ${timeGrid}
+                ${curves}
+                ${hoursGrid}
+                ${hoursLine}
+                ${shading}
+                ${todayMarker}
+                ${monthLabels}
+                <line class="chart-cursor hidden" id="daylightChartCursor" x1="0" y1="${this.timeTop}" x2="0" y2="${bottom}"/>
+            </svg>
+            <div class="chart-legend">
+                <span><i class="chart-swatch daylight"></i>Daylight</span>
+                <span><i class="chart-swatch twilight"></i>Civil twilight</span>
+                <span><i class="chart-swatch hours"></i>Day length</span>
+                <span id="daylightChartReadout" class="chart-readout">Hover the chart for a day's times</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Convert twilight data into minutes after midnight (and daylight hours)
+     * Missing events (e.g. polar day or night) become null, leaving a gap in the curve.
+     */
+    getDaySeries(twilightData) {
+        if (!twilightData || twilightData.error) {
+            return { dawn: null, sunrise: null, sunset: null, dusk: null, hours: null };
+        }
+
+        const hours = typeof twilightData.dayLength === 'number' ? twilightData.dayLength / 3600 : null;
+        const day = {
+            dawn: this.dateCalc.timeToMinutes(twilightData.dawn),
+            sunrise: this.dateCalc.timeToMinutes(twilightData.sunrise),
+            sunset: this.dateCalc.timeToMinutes(twilightData.sunset),
+            dusk: this.dateCalc.timeToMinutes(twilightData.dusk),
+            hours
+        };
+
+        // Polar states: fill the whole day with light or twilight
+        if (twilightData.sunState === 'above') {
+            day.sunrise = 0;
+            day.sunset = 1440;
+        }
+        if (twilightData.civilState === 'above') {
+            day.dawn = 0;
+            day.dusk = 1440;
+        }
+        if (twilightData.sunState === 'below' && day.dawn !== null && day.dusk !== null) {
+            // Polar night with twilight around noon: no daylight between the twilight bands
+            day.sunrise = day.sunset = Math.round((day.dawn + day.dusk) / 2);
+        }
+
+        return day;
+    }
+
+    /**
+     * Build a polyline path, breaking it wherever a value is missing
+     * @param {Array} series - Per-day values from getDaySeries
+     * @param {Function} getY - (day) => y coordinate or null
+     */
+    createLine(series, getY, className) {
+        let path = '';
+        let drawing = false;
+
+        series.forEach((day, index) => {
+            const y = getY(day);
+            if (y === null) {
+                drawing = false;
+                return;
+            }
+            const x = this.getX(index) + this.getDayWidth() / 2;
+            path += `${drawing ? 'L' : 'M'} ${x.toFixed(2)},${y.toFixed(2)} `;
+            drawing = true;
+        });
+
+        return path ? `<path class="${className}" d="${path.trim()}"/>` : '';
+    }
+
+    /**
+     * Build filled areas between two time series (one polygon per unbroken run)
+     */
+    createBand(series, fromKey, toKey, className) {
+        const runs = [];
+        let run = [];
+
+        series.forEach((day, index) => {
+            if (day[fromKey] === null || day[toKey] === null || day[toKey] < day[fromKey]) {
+                if (run.length) runs.push(run);
+                run = [];
+                return;
+            }
+            run.push({ index, from: day[fromKey], to: day[toKey] });
+        });
+        if (run.length) runs.push(run);
+
+        return runs.map(points => {
+            const half = this.getDayWidth() / 2;
+            const top = points.map(p => `${(this.getX(p.index) + half).toFixed(2)},${this.getTimeY(p.from).toFixed(2)}`);
+            const bottom = points.slice().reverse().map(p => `${(this.getX(p.index) + half).toFixed(2)},${this.getTimeY(p.to).toFixed(2)}`);
+            return `<polygon class="${className}" points="${top.concat(bottom).join(' ')}"/>`;
+        }).join('');
+    }
+
+    /**
+     * Show the hovered day's times under the chart
+     */
+    handleHover(e) {
+        const svg = this.container.querySelector('.daylight-chart-svg');
+        const readout = this.container.querySelector('#daylightChartReadout');
+        const cursor = this.container.querySelector('#daylightChartCursor');
+        if (!svg || !readout || !svg.getBoundingClientRect) return;
+
+        const rect = svg.getBoundingClientRect();
+        if (!rect.width) return;
+
+        const x = (e.clientX - rect.left) / rect.width * this.width;
+        const index = Math.floor((x - this.marginLeft) / this.getDayWidth());
+        const item = this.yearData[index];
+        if (!item) return;
+
+        const twilightData = item.currentTwilight || {};
+        const day = this.getDaySeries(item.currentTwilight);
+        const totalMinutes = day.hours === null ? null : Math.round(day.hours * 60);
+        const length = totalMinutes === null ? '—' : `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+
+        readout.textContent = `${this.dateCalc.formatDate(item.current)} · ${twilightData.sunrise || '—'} – ${twilightData.sunset || '—'} · ${length}`;
+
+        const cursorX = (this.getX(index) + this.getDayWidth() / 2).toFixed(2);
+        cursor.setAttribute('x1', cursorX);
+        cursor.setAttribute('x2', cursorX);
+        cursor.classList.remove('hidden');
+    }
+
+    /**
+     * Reset the readout when the pointer leaves the chart
+     */
+    hideReadout() {
+        const readout = this.container.querySelector('#daylightChartReadout');
+        const cursor = this.container.querySelector('#daylightChartCursor');
+        if (readout) readout.textContent = 'Hover the chart for a day\'s times';
+        if (cursor) cursor.classList.add('hidden');
+    }
+
+    /**
+     * Y coordinate for a time of day in the upper panel
+     */
+    getTimeY(minutes) {
+        return this.timeTop + minutes / 1440 * this.timeHeight;
+    }
+
+    /**
+     * Y coordinate for a number of daylight hours in the lower panel
+     */
+    getHoursY(hours, maxHours) {
+        return this.hoursTop + this.hoursHeight - hours / maxHours * this.hoursHeight;
+    }
+
+    /**
+     * Get the index of a date within the rendered year, or -1
+     */
+    getIndexForDate(date) {
+        if (this.yearData.length === 0) return -1;
+
+        const index = this.dateCalc.getDayNumber(date) - this.dateCalc.getDayNumber(this.yearData[0].current);
+        return index >= 0 && index < this.yearData.length ? index : -1;
+    }
+
+    /**
+     * Width of one day on the x axis
+     */
+    getDayWidth() {
+        return (this.width - this.marginLeft - this.marginRight) / Math.max(this.yearData.length, 1);
+    }
+
+    /**
+     * Left edge of a day on the x axis
+     */
+    getX(index) {
+        return this.marginLeft + index * this.getDayWidth();
+    }
+}
+
+// Export for use in other modules
+window.DaylightChart = DaylightChart;
@@ -0,0 +1,169 @@
+/**
+ * Sun Path Diagram
+ * Horizon projection of the sun's track across the sky for a date, with its mirror date overlaid
+ */
+
+class SunPathDiagram {
+    /**
+     * @param {HTMLElement} container - Element the diagram is rendered into
+     * @param {DateCalculations} dateCalc - Shared date helpers
+     */
+    constructor(container, dateCalc) {
+        this.container = container;
+        this.dateCalc = dateCalc;
+
+        // SVG layout (viewBox units)
+        this.width = 720;
+        this.height = 340;
+        this.marginLeft = 40;
+        this.marginRight = 16;
+        this.marginTop = 16;
+        this.marginBottom = 32;
+        this.minElevation = -20; // Show the track a little below the horizon (twilight)
+
+        this.centerAzimuth = 180; // Azimuth in the middle of the x axis (facing the equator)
+        this.maxElevation = 90;
+    }
+
+    /**
+     * Render the diagram
+     * @param {Object} primary - { date, path, twilightData } for the selected date
+     * @param {Object} mirror - { date, path, twilightData } for its mirror date
+     * @param {number} lat - Latitude (picks the direction the diagram faces)
+     */
+    render(primary, mirror, lat) {
+        // Face the equator: south in the northern hemisphere, north in the southern
+        this.centerAzimuth = lat >= 0 ? 180 : 0;
+
+        const peak = Math.max(...primary.path.concat(mirror.path).map(point => point.elevation));
+        this.maxElevation = Math.min(90, Math.max(30, Math.ceil(peak / 10) * 10));
+
+        const horizonY = this.getY(0);
+        const right = this.width - this.marginRight;
+        const bottom = this.height - this.marginBottom;
+
+        const elevationGrid = [];
+        for (let elevation = -10; elevation <= this.maxElevation; elevation += 10) {
+            const y = this.getY(elevation);
+            elevationGrid.push(`<line class="chart-grid" x1="${this.marginLeft}" y1="${y}" x2="${right}" y2="${y}"/>
+                <text class="chart-axis-label" x="${this.marginLeft - 6}" y="${y + 4}" text-anchor="end">${elevation}°</text>`);
+        }
+
+        const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        const compass = Array.from({ length: 9 }, (_, index) => {
+            const x = this.marginLeft + index / 8 * (right - this.marginLeft);
+            const label = points[(this.centerAzimuth / 45 + index + 4) % 8];
+            return `<line class="chart-grid" x1="${x}" y1="${this.marginTop}" x2="${x}" y2="${bottom}"/>
+                <text class="chart-axis-label" x="${x}" y="${bottom + 18}" text-anchor="middle">${label}</text>`;
+        }).join('');
+
+        this.container.innerHTML = `
+            <svg class="sun-path-svg" viewBox="0 0 ${this.width} ${this.height}" xmlns="http://www.w3.org/2000/svg">
+                <rect class="sun-path-ground" x="${this.marginLeft}" y="${horizonY}" width="${right - this.marginLeft}" height="${bottom - horizonY}"/>
+                ${elevationGrid.join('')}
+                ${compass}
+                <line class="sun-path-horizon" x1="${this.marginLeft}" y1="${horizonY}" x2="${right}" y2="${horizonY}"/>
+                ${this.createTrack(mirror.path, 'sun-path-track mirror')}
+                ${this.createTrack(primary.path, 'sun-path-track current')}
+                ${this.createMarkers(primary)}
+            </svg>
+            <div class="chart-legend">
+                <span><i class="chart-swatch sun-path-current"></i>${this.dateCalc.formatDate(primary.date)}</span>
+                <span><i class="chart-swatch sun-path-mirror"></i>${this.dateCalc.formatDate(mirror.date)} (mirror)</span>
+            </div>
+            <table class="sun-path-table">
+                <thead>
+                    <tr><th></th><th>${this.dateCalc.formatDate(primary.date)}</th><th>${this.dateCalc.formatDate(mirror.date)}</th></tr>
+                </thead>
+                <tbody>
+                    ${this.createRow('Solar noon', primary.twilightData, mirror.twilightData, data => data.solarNoon)}
+                    ${this.createRow('Max elevation', primary.twilightData, mirror.twilightData, data => `${data.maxElevation.toFixed(1)}°`)}
+                    ${this.createRow('Sunrise azimuth', primary.twilightData, mirror.twilightData, data => this.formatAzimuth(data.sunriseAzimuth))}
+                    ${this.createRow('Sunset azimuth', primary.twilightData, mirror.twilightData, data => this.formatAzimuth(data.sunsetAzimuth))}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Build the path for one day's track, breaking it where it wraps around the x axis
+     * @param {Array} path - Points of { elevation, azimuth }
+     */
+    createTrack(path, className) {
+        let d = '';
+        let previousX = null;
+
+        path.forEach(point => {
+            if (point.elevation < this.minElevation) {
+                previousX = null;
+                return;
+            }
+            const x = this.getX(point.azimuth);
+            const y = this.getY(point.elevation);
+            const isJump = previousX !== null && Math.abs(x - previousX) > (this.width - this.marginLeft - this.marginRight) / 2;
+
+            d += `${previousX === null || isJump ? 'M' : 'L'} ${x.toFixed(2)},${y.toFixed(2)} `;
+            previousX = x;
+        });
+
+        return d ? `<path class="${className}" d="${d.trim()}"/>` : '';
+    }
+
+    /**
+     * Dots and labels for sunrise, solar noon and sunset of the selected date
+     * @param {Object} day - { path, twilightData }
+     */
+    createMarkers(day) {
+        const { twilightData } = day;
+        const noon = day.path.reduce((highest, point) => point.elevation > highest.elevation ? point : highest);
+        const markers = [
+            { azimuth: twilightData.sunriseAzimuth, elevation: 0, label: twilightData.sunrise },
+            { azimuth: noon.azimuth, elevation: twilightData.maxElevation, label: twilightData.solarNoon },
+            { azimuth: twilightData.sunsetAzimuth, elevation: 0, label: twilightData.sunset }
+        ];
+
+        return markers
+            .filter(marker => marker.azimuth !== null && marker.azimuth !== undefined && marker.elevation >= this.minElevation)
+            .map(marker => {
+                const x = this.getX(marker.azimuth);
+                const y = this.getY(marker.elevation);
+                return `<circle class="sun-path-marker" cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="4"/>
+                    <text class="sun-path-label" x="${x.toFixed(2)}" y="${(y - 10).toFixed(2)}" text-anchor="middle">${marker.label}</text>`;
+            }).join('');
+    }
+
+    /**
+     * Build one row of the comparison table
+     * @param {Function} format - (twilightData) => display value
+     */
+    createRow(label, primary, mirror, format) {
+        return `<tr><th>${label}</th><td>${format(primary)}</td><td>${format(mirror)}</td></tr>`;
+    }
+
+    /**
+     * Format an azimuth in whole degrees, or a dash when there is no sunrise/sunset
+     */
+    formatAzimuth(azimuth) {
+        return azimuth === null || azimuth === undefined ? '—' : `${Math.round(azimuth)}°`;
+    }
+
+    /**
+     * X coordinate for an azimuth (the equator-facing direction in the middle)
+     */
+    getX(azimuth) {
+        const offset = ((azimuth - this.centerAzimuth + 540) % 360) - 180; // -180..180
+        const plotWidth = this.width - this.marginLeft - this.marginRight;
+        return this.marginLeft + (offset + 180) / 360 * plotWidth;
+    }
+
+    /**
+     * Y coordinate for an elevation
+     */
+    getY(elevation) {
+        const plotHeight = this.height - this.marginTop - this.marginBottom;
+        return this.marginTop + (this.maxElevation - elevation) / (this.maxElevation - this.minElevation) * plotHeight;
+    }
+}
+
+// Export for use in other modules
+window.SunPathDiagram = SunPathDiagram;
@@ -0,0 +1,216 @@
+/**
+ * Update Notifier
+ * Registers the service worker and shows a toast when a new version is waiting,
+ * with a short changelog from VERSION.md and a reload button that activates it
+ */
+
+class UpdateNotifier {
+    constructor() {
+        this.registration = null;
+        this.reloadRequested = false; // Only reload for an update the user accepted
+        this.maxChangelogItems = 3;
+        this.versionTimeout = 2000; // ms to wait for the new worker to report its version
+
+        this.init();
+    }
+
+    /**
+     * Register the service worker and start watching for updates
+     */
+    async init() {
+        try {
+            this.registration = await navigator.serviceWorker.register('/service-worker.js');
+            console.log('ServiceWorker registration successful:', this.registration.scope);
+        } catch (error) {
+            console.log('ServiceWorker registration failed:', error);
+            return;
+        }
+
+        // An update downloaded during an earlier visit may already be waiting
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdate(worker);
+                }
+            });
+        });
+
+        // The new worker took over (after skipWaiting): reload onto its assets
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadRequested) {
+                window.location.reload();
+            }
+        });
+
+        // Installed apps can stay open for days, so check again whenever they come back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.registration.update().catch(() => {});
+            }
+        });
+    }
+
+    /**
+     * Show the update toast for a waiting service worker
+     * @param {ServiceWorker} worker - The installed, waiting worker
+     */
+    async showUpdate(worker) {
+        const version = await this.getWorkerVersion(worker);
+        const changelog = version ? await this.getChangelog(window.APP_VERSION, version) : [];
+
+        this.renderToast(worker, version, changelog);
+    }
+
+    /**
+     * Ask a service worker which APP_VERSION it was built from
+     * @param {ServiceWorker} worker - The worker to ask
+     * @returns {Promise<string|null>} - Version, or null if it doesn't answer in time
+     */
+    getWorkerVersion(worker) {
+        return new Promise((resolve) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(null), this.versionTimeout);
+
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve(event.data && event.data.version ? event.data.version : null);
+            };
+            worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+        });
+    }
+
+    /**
+     * Get the changelog bullets between the running version and the new one
+     * @param {string} currentVersion - Version this page was loaded with
+     * @param {string} newVersion - Version of the waiting worker
+     * @returns {Promise<Array<string>>} - Newest first, at most maxChangelogItems
+     */
+    async getChangelog(currentVersion, newVersion) {
+        try {
+            // The query string keeps this out of the old precache and the HTTP cache
+            const response = await fetch(`/VERSION.md?v=${encodeURIComponent(newVersion)}`);
+            if (!response.ok) return [];
+
+            return this.parseChangelog(await response.text(), currentVersion, newVersion)
+                .slice(0, this.maxChangelogItems);
+        } catch (error) {
+            console.log('Could not load changelog:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Collect the bullets of every "### X.Y.Z (date)" entry newer than currentVersion
+     * @param {string} markdown - Contents of VERSION.md
+     * @param {string} currentVersion - Exclusive lower bound
+     * @param {string} newVersion - Inclusive upper bound
+     * @returns {Array<string>} - Bullet texts, newest first
+     */
+    parseChangelog(markdown, currentVersion, newVersion) {
+        const history = markdown.split('## Version History')[1] || '';
+        const items = [];
+        let inRange = false;
+
+        history.split('\n').forEach(line => {
+            const heading = /^###\s+(\d+\.\d+\.\d+)/.exec(line);
+            if (heading) {
+                inRange = this.compareVersions(heading[1], currentVersion) > 0 &&
+                    this.compareVersions(heading[1], newVersion) <= 0;
+                return;
+            }
+
+            const bullet = /^\s*-\s+(.+)$/.exec(line);
+            if (inRange && bullet) {
+                items.push(bullet[1].trim());
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * Compare two MAJOR.MINOR.PATCH versions
+     * @returns {number} - Negative, zero or positive like a sort comparator
+     */
+    compareVersions(a, b) {
+        const partsA = String(a || '0').split('.').map(Number);
+        const partsB = String(b || '0').split('.').map(Number);
+
+        for (let i = 0; i < 3; i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    /**
+     * Render the toast (replacing any earlier one)
+     * @param {ServiceWorker} worker - The waiting worker to activate on reload
+     * @param {string|null} version - Its version, if known
+     * @param {Array<string>} changelog - Bullets to list
+     */
+    renderToast(worker, version, changelog) {
+        const existing = document.querySelector('.update-toast');
+        if (existing) existing.remove();
+
+        const toast = document.createElement('div');
+        toast.className = 'update-toast';
+        toast.setAttribute('role', 'status');
+        toast.setAttribute('aria-live', 'polite');
+
+        const title = version ? `New version v${version} available` : 'A new version is available';
+        const items = changelog.map(item => `<li>${this.escapeHtml(item)}</li>`).join('');
+
+        toast.innerHTML = `
+            <div class="update-toast-text">
+                <strong>${title}</strong>
+                ${window.APP_VERSION ? `<span class="update-toast-current">You're on v${window.APP_VERSION}</span>` : ''}
+                ${items ? `<ul class="update-toast-changes">${items}</ul>` : ''}
+            </div>
+            <div class="update-toast-actions">
+                <button class="update-toast-reload">Reload</button>
+                <button class="update-toast-dismiss" aria-label="Dismiss update">×</button>
+            </div>
+        `;
+
+        toast.querySelector('.update-toast-reload').addEventListener('click', () => {
+            this.reloadRequested = true;
+            toast.querySelector('.update-toast-reload').disabled = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+
+        // Dismissed updates still apply on the next visit, once every tab has closed
+        toast.querySelector('.update-toast-dismiss').addEventListener('click', () => {
+            toast.remove();
+        });
+
+        document.body.appendChild(toast);
+    }
+
+    /**
+     * Escape text for safe insertion as HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize once the page has loaded, so registration doesn't compete with first render
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        window.updateNotifier = new UpdateNotifier();
+    });
+}
+
+// Export for use in other modules
+window.UpdateNotifier = UpdateNotifier;
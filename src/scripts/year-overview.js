@@ -0,0 +1,204 @@
+/**
+ * Year Overview
+ * Renders a whole year as a ribbon of daylight hours with mirror-pair arcs
+ */
+
+class YearOverview {
+    /**
+     * @param {HTMLElement} container - Element the overview is rendered into
+     * @param {DateCalculations} dateCalc - Shared date helpers
+     * @param {Function} onSelectDate - Called with the Date of a clicked day
+     */
+    constructor(container, dateCalc, onSelectDate) {
+        this.container = container;
+        this.dateCalc = dateCalc;
+        this.onSelectDate = onSelectDate;
+        this.yearData = [];
+
+        // SVG layout (viewBox units)
+        this.width = 1000;
+        this.margin = 20;
+        this.ribbonTop = 190;
+        this.ribbonHeight = 60;
+        this.arcEvery = 7; // Draw one arc per week to keep the chart readable
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('mouseover', (e) => this.handleHover(e));
+    }
+
+    /**
+     * Render the year
+     * @param {Array} yearData - Items of { current, mirrored, isToday, currentTwilight }
+     * @param {Array} axes - Season axes ({ season, date }) falling inside the year
+     */
+    render(yearData, axes = []) {
+        this.yearData = yearData;
+
+        const hours = yearData.map(item => this.getDaylightHours(item.currentTwilight));
+        const known = hours.filter(value => value !== null);
+        const minHours = known.length ? Math.min(...known) : 0;
+        const maxHours = known.length ? Math.max(...known) : 24;
+
+        const cells = yearData.map((item, index) => {
+            const x = this.getX(index);
+            const color = this.getDaylightColor(hours[index], minHours, maxHours);
+            const label = `${this.dateCalc.formatDate(item.current)} · ${this.formatHours(hours[index])} ↔ ${this.dateCalc.formatDate(item.mirrored)}`;
+            return `<rect class="year-day ${item.isToday ? 'today' : ''}" data-index="${index}"
+                x="${x.toFixed(2)}" y="${this.ribbonTop}" width="${(this.getDayWidth() + 0.3).toFixed(2)}"
+                height="${this.ribbonHeight}" fill="${color}"><title>${label}</title></rect>`;
+        }).join('');
+
+        const arcs = yearData
+            .map((item, index) => ({ item, index }))
+            .filter(({ index }) => index % this.arcEvery === 0)
+            .map(({ item, index }) => this.createArc(item, index, 'mirror-arc'))
+            .join('');
+
+        const axisMarkers = axes.map(axis => {
+            const index = this.getIndexForDate(axis.date);
+            if (index === -1) return '';
+            const x = this.getX(index) + this.getDayWidth() / 2;
+            return `<line class="year-axis" x1="${x}" y1="20" x2="${x}" y2="${this.ribbonTop + this.ribbonHeight}"/>
+                <text class="year-axis-label" x="${x}" y="14" text-anchor="middle">${this.dateCalc.getSeasonLabel(axis.season)}</text>`;
+        }).join('');
+
+        const monthLabels = Array.from({ length: 12 }, (_, month) => {
+            const index = this.getIndexForDate(new Date(yearData[0].current.getFullYear(), month, 1));
+            const label = new Date(2000, month, 1).toLocaleDateString('en-US', { month: 'short' });
+            return `<text class="year-month-label" x="${this.getX(index) + 2}" y="${this.ribbonTop + this.ribbonHeight + 18}">${label}</text>`;
+        }).join('');
+
+        this.container.innerHTML = `
+            <svg class="year-overview-svg" viewBox="0 0 ${this.width} ${this.ribbonTop + this.ribbonHeight + 30}" xmlns="http://www.w3.org/2000/svg">
+                <g class="year-arcs">${arcs}</g>
+                <path class="mirror-arc active hidden" id="yearActiveArc" d=""/>
+                ${axisMarkers}
+                <g class="year-ribbon">${cells}</g>
+                ${monthLabels}
+            </svg>
+            <div class="year-legend">
+                <span>${this.formatHours(minHours)}</span>
+                <span class="year-legend-scale"></span>
+                <span>${this.formatHours(maxHours)}</span>
+                <small>Hover a day to see its mirror · click to open the month</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the arc path linking a day with its mirror
+     */
+    createArc(item, index, className) {
+        const path = this.getArcPath(item, index);
+        return path ? `<path class="${className}" d="${path}"/>` : '';
+    }
+
+    /**
+     * Get the SVG path for a mirror arc, or null if the mirror is in another year
+     */
+    getArcPath(item, index) {
+        const mirrorIndex = this.getIndexForDate(item.mirrored);
+        if (mirrorIndex === -1 || mirrorIndex === index) return null;
+
+        const half = this.getDayWidth() / 2;
+        const x1 = this.getX(index) + half;
+        const x2 = this.getX(mirrorIndex) + half;
+        const height = Math.min(Math.abs(x2 - x1) * 0.5, this.ribbonTop - 30);
+        const y = this.ribbonTop;
+
+        return `M ${x1.toFixed(2)},${y} Q ${((x1 + x2) / 2).toFixed(2)},${(y - height * 2).toFixed(2)} ${x2.toFixed(2)},${y}`;
+    }
+
+    /**
+     * Highlight the hovered day's mirror arc
+     */
+    handleHover(e) {
+        const cell = e.target.closest('.year-day');
+        const activeArc = this.container.querySelector('#yearActiveArc');
+        if (!cell || !activeArc) return;
+
+        const index = parseInt(cell.dataset.index, 10);
+        const path = this.getArcPath(this.yearData[index], index);
+
+        if (path) {
+            activeArc.setAttribute('d', path);
+            activeArc.classList.remove('hidden');
+        } else {
+            activeArc.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Open the month of a clicked day
+     */
+    handleClick(e) {
+        const cell = e.target.closest('.year-day');
+        if (!cell) return;
+
+        const item = this.yearData[parseInt(cell.dataset.index, 10)];
+        if (item && this.onSelectDate) {
+            this.onSelectDate(item.current);
+        }
+    }
+
+    /**
+     * Get daylight hours from twilight data (24 under the midnight sun, 0 in polar night)
+     */
+    getDaylightHours(twilightData) {
+        if (!twilightData || twilightData.error || typeof twilightData.dayLength !== 'number') return null;
+
+        return Math.max(0, Math.min(24, twilightData.dayLength / 3600));
+    }
+
+    /**
+     * Interpolate between night and daylight colours
+     */
+    getDaylightColor(hours, minHours, maxHours) {
+        if (hours === null) return '#ebebed';
+
+        const range = maxHours - minHours || 1;
+        const t = (hours - minHours) / range;
+        const dark = [29, 29, 63];
+        const light = [255, 149, 0];
+        const rgb = dark.map((channel, i) => Math.round(channel + (light[i] - channel) * t));
+
+        return `rgb(${rgb.join(', ')})`;
+    }
+
+    /**
+     * Format hours as "10h 32m"
+     */
+    formatHours(hours) {
+        if (hours === null) return '—';
+
+        const totalMinutes = Math.round(hours * 60);
+        return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+    }
+
+    /**
+     * Get the index of a date within the rendered year, or -1
+     */
+    getIndexForDate(date) {
+        if (this.yearData.length === 0) return -1;
+
+        const index = this.dateCalc.getDayNumber(date) - this.dateCalc.getDayNumber(this.yearData[0].current);
+        return index >= 0 && index < this.yearData.length ? index : -1;
+    }
+
+    /**
+     * Width of one day in the ribbon
+     */
+    getDayWidth() {
+        return (this.width - 2 * this.margin) / Math.max(this.yearData.length, 1);
+    }
+
+    /**
+     * Left edge of a day in the ribbon
+     */
+    getX(index) {
+        return this.margin + index * this.getDayWidth();
+    }
+}
+
+// Export for use in other modules
+window.YearOverview = YearOverview;
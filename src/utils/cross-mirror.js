@@ -0,0 +1,129 @@
+/**
+ * Cross Mirror
+ * Pairs a date at one location with the date at another location that has the same
+ * day length (or sunset time) - the cross-hemisphere counterpart of calculateMirrorDate.
+ * Prefers the date at the same point of the seasonal cycle (days lengthening or shortening
+ * alike), falling back to the closest value when that has no close match.
+ */
+
+class CrossMirror {
+    /**
+     * @param {TwilightClient} twilight - Shared twilight client (its local solar engine is used)
+     * @param {DateCalculations} dateCalc - Shared date helpers (day numbers, time parsing, trends)
+     */
+    constructor(twilight, dateCalc) {
+        this.twilight = twilight;
+        this.dateCalc = dateCalc;
+
+        this.WINDOW_DAYS = 183; // Search half a year either side of the date
+        this.MATCH_BY = ['dayLength', 'sunset'];
+        this.TOLERANCE = { dayLength: 10 * 60, sunset: 10 }; // Seconds of day length, minutes of sunset
+        this.MAX_CACHED_SERIES = 10;
+
+        this.seriesCache = new Map();
+    }
+
+    /**
+     * Get day length and sunset for every day in a range at a location
+     * @param {Object} location - { lat, lng }
+     * @param {Date} start - First day
+     * @param {number} days - Number of days
+     * @returns {Array<Object>} - Items of { date, dayNumber, dayLength (seconds), sunset (minutes after midnight) }
+     */
+    getSeries(location, start, days) {
+        const { lat, lng } = location;
+        const key = `${this.twilight.getCacheNamespace(lat, lng)}|${this.twilight.formatDateForAPI(start)}|${days}`;
+
+        if (this.seriesCache.has(key)) {
+            return this.seriesCache.get(key);
+        }
+
+        const timezone = this.twilight.getTimezoneForCoordinates(lat, lng);
+        const series = [];
+
+        for (let offset = 0; offset < days; offset++) {
+            const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+            const summary = this.twilight.getLocalSunSummary(date, lat, lng, timezone);
+
+            series.push({
+                date,
+                dayNumber: this.dateCalc.getDayNumber(date),
+                dayLength: summary.dayLength,
+                sunset: this.dateCalc.timeToMinutes(summary.sunset)
+            });
+        }
+
+        if (this.seriesCache.size >= this.MAX_CACHED_SERIES) {
+            this.seriesCache.delete(this.seriesCache.keys().next().value);
+        }
+        this.seriesCache.set(key, series);
+
+        return series;
+    }
+
+    /**
+     * Find the date in another location's series that matches a date in the reference series
+     * @param {Array<Object>} referenceSeries - Series containing the date
+     * @param {Date} date - Date at the reference location
+     * @param {Array<Object>} otherSeries - Series to search
+     * @param {string} matchBy - 'dayLength' or 'sunset'
+     * @returns {Object|null} - { date, value, targetValue, difference, isClose } or null when
+     *          the reference date has no value (e.g. no sunset during polar night)
+     */
+    findMatch(referenceSeries, date, otherSeries, matchBy) {
+        const targetIndex = referenceSeries.findIndex(item => item.dayNumber === this.dateCalc.getDayNumber(date));
+        if (targetIndex === -1) return null;
+
+        const targetValue = referenceSeries[targetIndex][matchBy];
+        if (targetValue === null) return null;
+
+        const referenceValues = referenceSeries.map(item => item[matchBy]);
+        const otherValues = otherSeries.map(item => item[matchBy]);
+        const targetTrend = this.dateCalc.getTrend(referenceValues, targetIndex);
+        const targetDay = referenceSeries[targetIndex].dayNumber;
+
+        let bestSameTrend = null;
+        let bestOverall = null;
+
+        otherSeries.forEach((item, index) => {
+            if (item[matchBy] === null || Math.abs(item.dayNumber - targetDay) > this.WINDOW_DAYS) return;
+
+            const candidate = {
+                item,
+                gap: Math.abs(item[matchBy] - targetValue),
+                distance: Math.abs(item.dayNumber - targetDay)
+            };
+
+            if (this.isBetter(candidate, bestOverall)) {
+                bestOverall = candidate;
+            }
+            if (this.dateCalc.getTrend(otherValues, index) === targetTrend && this.isBetter(candidate, bestSameTrend)) {
+                bestSameTrend = candidate;
+            }
+        });
+
+        const tolerance = this.TOLERANCE[matchBy];
+        const best = bestSameTrend && bestSameTrend.gap <= tolerance ? bestSameTrend : bestOverall;
+        if (!best) return null;
+
+        return {
+            date: best.item.date,
+            value: best.item[matchBy],
+            targetValue,
+            difference: best.item[matchBy] - targetValue,
+            isClose: best.gap <= tolerance
+        };
+    }
+
+    /**
+     * Compare candidates: smaller value gap first, then closer in time
+     */
+    isBetter(candidate, best) {
+        if (!best) return true;
+        if (candidate.gap !== best.gap) return candidate.gap < best.gap;
+        return candidate.distance < best.distance;
+    }
+}
+
+// Export for use in other modules
+window.CrossMirror = CrossMirror;
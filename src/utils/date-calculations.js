@@ -1,65 +1,127 @@
 /**
  * Solar Symmetry Date Calculations
- * Handles all date math for finding mirrored dates around solstices
+ * Handles all date math for finding mirrored dates around solstices (or equinoxes)
  */
 
 class DateCalculations {
     constructor() {
-        // Fixed solstice dates (approximate)
-        this.SUMMER_SOLSTICE = { month: 6, day: 21 }; // June 21
-        this.WINTER_SOLSTICE = { month: 12, day: 21 }; // December 21
+        this.solar = new SolarCalculator();
+        this.MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+        // Solstice instants are computed per year and reused
+        this.seasonCache = new Map();
+
+        // Mirror modes and the season instants each one reflects around:
+        // - solstice: paired dates share day length, with opposite trends
+        // - equinox: paired dates share the daily change in day length
+        this.MIRROR_AXES = {
+            solstice: ['june', 'december'],
+            equinox: ['march', 'september']
+        };
+
+        // Navigation stops at the years Meeus' solstice/equinox series (Astronomical Algorithms,
+        // table 27.B) is fitted to; outside them the instants, and so the mirror dates, drift
+        this.MIN_YEAR = 1000;
+        this.MAX_YEAR = 3000;
+
+        this.SEASON_LABELS = {
+            march: 'March Equinox',
+            june: 'June Solstice',
+            september: 'September Equinox',
+            december: 'December Solstice'
+        };
     }
 
     /**
-     * Get the nearest solstice for a given date
+     * Get the exact instant of a solstice or equinox
+     * @param {number} year - The year
+     * @param {string} season - 'march', 'june', 'september' or 'december'
+     * @returns {Date} - The instant (UTC)
+     */
+    getSeasonInstant(year, season) {
+        const key = `${year}-${season}`;
+        if (!this.seasonCache.has(key)) {
+            this.seasonCache.set(key, this.solar.getSeasonInstant(year, season));
+        }
+        return this.seasonCache.get(key);
+    }
+
+    /**
+     * Get the nearest mirror axis (solstice or equinox) for a date, as seen in a timezone
      * @param {Date} date - The date to check
-     * @returns {Date} - The nearest solstice date
+     * @param {string} timezone - IANA timezone (defaults to the browser's)
+     * @param {string} mode - 'solstice' or 'equinox'
+     * @returns {Object} - { season, instant, date, axis } where axis is the
+     *                     season instant as a fractional local day number
      */
-    getNearestSolstice(date) {
+    getNearestAxisInfo(date, timezone, mode = 'solstice') {
         const year = date.getFullYear();
-        const summerSolstice = new Date(year, this.SUMMER_SOLSTICE.month - 1, this.SUMMER_SOLSTICE.day);
-        const winterSolstice = new Date(year, this.WINTER_SOLSTICE.month - 1, this.WINTER_SOLSTICE.day);
-        
-        // Calculate distances to both solstices
-        const distanceToSummer = Math.abs(date - summerSolstice);
-        const distanceToWinter = Math.abs(date - winterSolstice);
-        
-        // Handle year boundary for winter solstice
-        const nextWinterSolstice = new Date(year + 1, this.WINTER_SOLSTICE.month - 1, this.WINTER_SOLSTICE.day);
-        const prevWinterSolstice = new Date(year - 1, this.WINTER_SOLSTICE.month - 1, this.WINTER_SOLSTICE.day);
-        
-        const distanceToNextWinter = Math.abs(date - nextWinterSolstice);
-        const distanceToPrevWinter = Math.abs(date - prevWinterSolstice);
-        
-        // Find the minimum distance
-        const distances = [
-            { distance: distanceToSummer, date: summerSolstice },
-            { distance: distanceToWinter, date: winterSolstice },
-            { distance: distanceToNextWinter, date: nextWinterSolstice },
-            { distance: distanceToPrevWinter, date: prevWinterSolstice }
-        ];
-        
-        return distances.reduce((nearest, current) => 
-            current.distance < nearest.distance ? current : nearest
-        ).date;
+        const noonDayNumber = this.getDayNumber(date) + 0.5;
+        const seasons = this.MIRROR_AXES[mode] || this.MIRROR_AXES.solstice;
+
+        const candidates = [];
+        [year - 1, year, year + 1].forEach(candidateYear => {
+            seasons.forEach(season => {
+                const instant = this.getSeasonInstant(candidateYear, season);
+                const axis = this.getZonedDayNumber(instant, timezone);
+                candidates.push({
+                    season,
+                    instant,
+                    axis,
+                    date: this.fromDayNumber(Math.floor(axis))
+                });
+            });
+        });
+
+        return candidates.reduce((nearest, current) =>
+            Math.abs(noonDayNumber - current.axis) < Math.abs(noonDayNumber - nearest.axis) ? current : nearest
+        );
+    }
+
+    /**
+     * Get the nearest solstice for a given date
+     * @param {Date} date - The date to check
+     * @param {string} timezone - IANA timezone (defaults to the browser's)
+     * @returns {Date} - The local calendar date of the nearest solstice
+     */
+    getNearestSolstice(date, timezone) {
+        return this.getNearestAxisInfo(date, timezone, 'solstice').date;
+    }
+
+    /**
+     * Get the nearest equinox for a given date
+     * @param {Date} date - The date to check
+     * @param {string} timezone - IANA timezone (defaults to the browser's)
+     * @returns {Date} - The local calendar date of the nearest equinox
+     */
+    getNearestEquinox(date, timezone) {
+        return this.getNearestAxisInfo(date, timezone, 'equinox').date;
     }
 
     /**
      * Calculate the mirrored date for a given date around the nearest solstice
+     * (or equinox). Reflects the date's local noon through the exact season
+     * instant, so the pairing follows the real solstice rather than a fixed
+     * calendar day.
      * @param {Date} date - The date to mirror
+     * @param {string} timezone - IANA timezone (defaults to the browser's)
+     * @param {string} mode - 'solstice' (default) or 'equinox'
      * @returns {Date} - The mirrored date
      */
-    calculateMirrorDate(date) {
-        const nearestSolstice = this.getNearestSolstice(date);
-        
-        // Calculate days from solstice
-        const daysFromSolstice = Math.floor((date - nearestSolstice) / (1000 * 60 * 60 * 24));
-        
-        // Mirror the date (same distance, opposite direction)
-        const mirroredDate = new Date(nearestSolstice);
-        mirroredDate.setDate(mirroredDate.getDate() - daysFromSolstice);
-        
-        return mirroredDate;
+    calculateMirrorDate(date, timezone, mode = 'solstice') {
+        const { axis } = this.getNearestAxisInfo(date, timezone, mode);
+        const noonDayNumber = this.getDayNumber(date) + 0.5;
+
+        return this.fromDayNumber(Math.floor(2 * axis - noonDayNumber));
+    }
+
+    /**
+     * Get the display label for a season instant
+     * @param {string} season - 'march', 'june', 'september' or 'december'
+     * @returns {string} - Label such as "June Solstice"
+     */
+    getSeasonLabel(season) {
+        return this.SEASON_LABELS[season];
     }
 
     /**
@@ -83,15 +145,17 @@ class DateCalculations {
      * Get all dates for a given month with their mirrored counterparts
      * @param {number} year - The year
      * @param {number} month - The month (1-12)
+     * @param {string} timezone - IANA timezone of the location
+     * @param {string} mode - Mirror mode, 'solstice' or 'equinox'
      * @returns {Array} - Array of objects with current and mirrored dates
      */
-    getMonthWithMirrors(year, month) {
+    getMonthWithMirrors(year, month, timezone, mode = 'solstice') {
         const datesData = [];
         const daysInMonth = new Date(year, month, 0).getDate();
         
         for (let day = 1; day <= daysInMonth; day++) {
             const currentDate = new Date(year, month - 1, day);
-            const mirroredDate = this.calculateMirrorDate(currentDate);
+            const mirroredDate = this.calculateMirrorDate(currentDate, timezone, mode);
             
             datesData.push({
                 current: currentDate,
@@ -103,6 +167,41 @@ class DateCalculations {
         return datesData;
     }
 
+    /**
+     * Get every date of a year with its mirrored counterpart
+     * @param {number} year - The year
+     * @param {string} timezone - IANA timezone of the location
+     * @param {string} mode - Mirror mode, 'solstice' or 'equinox'
+     * @returns {Array} - Array of objects with current and mirrored dates
+     */
+    getYearWithMirrors(year, timezone, mode = 'solstice') {
+        const datesData = [];
+
+        for (let month = 1; month <= 12; month++) {
+            datesData.push(...this.getMonthWithMirrors(year, month, timezone, mode));
+        }
+
+        return datesData;
+    }
+
+    /**
+     * Get the mirror axes (solstices or equinoxes) that fall inside a year
+     * @param {number} year - The year
+     * @param {string} timezone - IANA timezone of the location
+     * @param {string} mode - Mirror mode, 'solstice' or 'equinox'
+     * @returns {Array} - Array of { season, instant, date }
+     */
+    getSeasonAxesInYear(year, timezone, mode = 'solstice') {
+        return this.MIRROR_AXES[mode].map(season => {
+            const instant = this.getSeasonInstant(year, season);
+            return {
+                season,
+                instant,
+                date: this.fromDayNumber(Math.floor(this.getZonedDayNumber(instant, timezone)))
+            };
+        });
+    }
+
     /**
      * Check if a date is today
      * @param {Date} date - The date to check
@@ -141,6 +240,98 @@ class DateCalculations {
         return date.toLocaleDateString('en-US', options);
     }
 
+    /**
+     * Format a solstice or equinox instant with its local time
+     * @param {Date} instant - The season instant
+     * @param {string} timezone - IANA timezone (defaults to the browser's)
+     * @returns {string} - Formatted timestamp (e.g. "Dec 21, 2026, 20:50 GMT")
+     */
+    formatSeasonTimestamp(instant, timezone) {
+        return instant.toLocaleString('en-US', {
+            timeZone: timezone,
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+            timeZoneName: 'short'
+        });
+    }
+
+    /**
+     * Get a day number (days since the epoch) for a local calendar date
+     * @param {Date} date - The date
+     * @returns {number} - Whole day number
+     */
+    getDayNumber(date) {
+        return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / this.MS_PER_DAY;
+    }
+
+    /**
+     * Convert a day number back to a local calendar date
+     * @param {number} dayNumber - Whole day number
+     * @returns {Date} - Local midnight of that calendar date
+     */
+    fromDayNumber(dayNumber) {
+        const utc = new Date(dayNumber * this.MS_PER_DAY);
+        return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+    }
+
+    /**
+     * Convert an "HH:MM" time string to minutes after midnight
+     * @param {string} time - e.g. "06:42" (24:00 counts as midnight)
+     * @returns {number|null} - Minutes, or null for placeholders like 'N/A'
+     */
+    timeToMinutes(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+        if (!match) return null;
+
+        return (parseInt(match[1], 10) % 24) * 60 + parseInt(match[2], 10);
+    }
+
+    /**
+     * Whether a daily value is rising (1), falling (-1) or steady (0) on a day
+     * Uses the next day, or the previous one at the end of the series.
+     * @param {Array<number|null>} values - One value per consecutive day
+     * @param {number} index - Day to check
+     * @returns {number} - 1, -1 or 0 (also when either value is missing)
+     */
+    getTrend(values, index) {
+        const hasNext = index + 1 < values.length;
+        const current = values[index];
+        const neighbour = values[hasNext ? index + 1 : index - 1];
+
+        if (current === null || neighbour === null || neighbour === undefined) return 0;
+
+        return Math.sign(hasNext ? neighbour - current : current - neighbour);
+    }
+
+    /**
+     * Get the fractional day number of an instant on a timezone's wall clock
+     * @param {Date} instant - The instant
+     * @param {string} timezone - IANA timezone (defaults to the browser's)
+     * @returns {number} - Day number plus fraction of the local day elapsed
+     */
+    getZonedDayNumber(instant, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(instant).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+
+        const dayNumber = Date.UTC(parts.year, parts.month - 1, parts.day) / this.MS_PER_DAY;
+        return dayNumber + (parts.hour * 3600 + parts.minute * 60 + parts.second) / 86400;
+    }
+
     /**
      * Get the current date
      * @returns {Date} - Current date
@@ -155,9 +346,8 @@ class DateCalculations {
      * @returns {Date} - Previous month date
      */
     getPreviousMonth(currentDate) {
-        const newDate = new Date(currentDate);
-        newDate.setMonth(newDate.getMonth() - 1);
-        return newDate;
+        // Anchor on the 1st so e.g. March 31 doesn't roll over into March again
+        return new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
     }
 
     /**
@@ -166,27 +356,63 @@ class DateCalculations {
      * @returns {Date} - Next month date
      */
     getNextMonth(currentDate) {
-        const newDate = new Date(currentDate);
-        newDate.setMonth(newDate.getMonth() + 1);
-        return newDate;
+        return new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
+    }
+
+    /**
+     * Navigate to previous year
+     * @param {Date} currentDate - Current month date
+     * @returns {Date} - Same month in the previous year
+     */
+    getPreviousYear(currentDate) {
+        return new Date(currentDate.getFullYear() - 1, currentDate.getMonth(), 1);
+    }
+
+    /**
+     * Navigate to next year
+     * @param {Date} currentDate - Current month date
+     * @returns {Date} - Same month in the next year
+     */
+    getNextYear(currentDate) {
+        return new Date(currentDate.getFullYear() + 1, currentDate.getMonth(), 1);
     }
 
     /**
-     * Check if we can navigate to previous month (not before January)
+     * Check if we can navigate to previous month (crosses year boundaries,
+     * stops at the start of the supported range)
      * @param {Date} currentDate - Current month date
      * @returns {boolean} - True if previous month navigation is allowed
      */
     canGoToPreviousMonth(currentDate) {
-        return currentDate.getMonth() > 0;
+        return currentDate.getFullYear() > this.MIN_YEAR || currentDate.getMonth() > 0;
     }
 
     /**
-     * Check if we can navigate to next month (not after December)
+     * Check if we can navigate to next month (crosses year boundaries,
+     * stops at the end of the supported range)
      * @param {Date} currentDate - Current month date
      * @returns {boolean} - True if next month navigation is allowed
      */
     canGoToNextMonth(currentDate) {
-        return currentDate.getMonth() < 11;
+        return currentDate.getFullYear() < this.MAX_YEAR || currentDate.getMonth() < 11;
+    }
+
+    /**
+     * Check if we can navigate to the previous year
+     * @param {Date} currentDate - Current month date
+     * @returns {boolean} - True if previous year navigation is allowed
+     */
+    canGoToPreviousYear(currentDate) {
+        return currentDate.getFullYear() > this.MIN_YEAR;
+    }
+
+    /**
+     * Check if we can navigate to the next year
+     * @param {Date} currentDate - Current month date
+     * @returns {boolean} - True if next year navigation is allowed
+     */
+    canGoToNextYear(currentDate) {
+        return currentDate.getFullYear() < this.MAX_YEAR;
     }
 }
 
@@ -0,0 +1,136 @@
+/**
+ * Day Search
+ * Finds dates at a location by their sun times: the first day matching a condition
+ * (e.g. light after work returns), or every day in a year on which sunrise, sunset,
+ * dusk or the day length reaches a target value.
+ */
+
+class DaySearch {
+    /**
+     * @param {TwilightClient} twilight - Shared twilight client
+     * @param {DateCalculations} dateCalc - Shared date helpers (time parsing, trends)
+     */
+    constructor(twilight, dateCalc) {
+        this.twilight = twilight;
+        this.dateCalc = dateCalc;
+
+        // Searchable values: a sun event ('rise'/'set' at an altitude) or the day length
+        this.TARGETS = {
+            sunrise: { label: 'Sunrise', altitude: 'sunrise', event: 'rise' },
+            sunset: { label: 'Sunset', altitude: 'sunrise', event: 'set' },
+            dusk: { label: 'Dusk', altitude: 'civil', event: 'set' },
+            dayLength: { label: 'Day length' }
+        };
+        this.TOLERANCE = 5; // Minutes a crossing day may be off (covers DST jumps and fast-changing days)
+    }
+
+    /**
+     * Find the first day (from startDate, inclusive) whose sun events match
+     * Uses the local engine's sun-only events, so a year-long scan stays cheap.
+     * @param {Object} location - { lat, lng }
+     * @param {Date} startDate - First day to check
+     * @param {Function} predicate - (date, sunEvents) => boolean, sunEvents from TwilightClient.getLocalSunEvents
+     * @param {number} searchLimit - Number of days to search
+     * @returns {Object|null} - { date, sunEvents } or null if none found
+     */
+    findFirst(location, startDate, predicate, searchLimit = 366) {
+        for (let daysAhead = 0; daysAhead < searchLimit; daysAhead++) {
+            const date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + daysAhead);
+            const sunEvents = this.twilight.getLocalSunEvents(date, location.lat, location.lng);
+
+            if (predicate(date, sunEvents)) {
+                return { date, sunEvents };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find every day in a year on which a sun time or the day length reaches a target
+     * Values change a little each day, so a day matches when it hits the target exactly
+     * or is the closer of two days the value crosses it between.
+     * @param {Object} location - { lat, lng }
+     * @param {number} year - Calendar year
+     * @param {string} target - 'sunrise', 'sunset', 'dusk' or 'dayLength'
+     * @param {number} value - Minutes after midnight, or minutes of daylight
+     * @returns {Array<Object>} - Items of { date, value, trend } in date order, trend being
+     *          1 (getting later/longer), -1 (earlier/shorter) or 0
+     */
+    findAll(location, year, target, value) {
+        const days = this.getYearValues(location, year, target);
+        const values = days.map(day => day.value);
+        const indices = [];
+
+        const add = (index) => {
+            if (indices[indices.length - 1] !== index) indices.push(index);
+        };
+
+        days.forEach((day, index) => {
+            const next = days[index + 1];
+            if (day.value === null) return;
+
+            if (day.value === value) {
+                add(index);
+                return;
+            }
+
+            if (!next || next.value === null || next.value === value) return;
+
+            const crosses = (day.value - value) * (next.value - value) < 0;
+            if (!crosses) return;
+
+            const closer = Math.abs(day.value - value) <= Math.abs(next.value - value) ? index : index + 1;
+            if (Math.abs(days[closer].value - value) <= this.TOLERANCE) {
+                add(closer);
+            }
+        });
+
+        return indices.map(index => ({
+            date: days[index].date,
+            value: days[index].value,
+            trend: this.dateCalc.getTrend(values, index)
+        }));
+    }
+
+    /**
+     * Get a searchable value for one day
+     * @param {Object} location - { lat, lng }
+     * @param {Date} date - The date
+     * @param {string} target - Key of TARGETS
+     * @returns {number|null} - Minutes after midnight (events) or minutes of daylight; null without the event
+     */
+    getValue(location, date, target) {
+        const { lat, lng } = location;
+        const solar = this.twilight.solar;
+
+        if (target === 'dayLength') {
+            const seconds = this.twilight.getLocalDayLength(date, lat, lng);
+            return seconds === null ? null : Math.round(seconds / 60);
+        }
+
+        const { altitude, event } = this.TARGETS[target];
+        const time = solar.getTimesForAltitude(date, lat, lng, solar.ALTITUDES[altitude])[event];
+        if (!time) return null;
+
+        const timezone = this.twilight.getTimezoneForCoordinates(lat, lng);
+        return this.dateCalc.timeToMinutes(this.twilight.formatTimeForTimezone(time, timezone));
+    }
+
+    /**
+     * Get a searchable value for every day of a year
+     * @returns {Array<Object>} - Items of { date, value }
+     */
+    getYearValues(location, year, target) {
+        const days = [];
+
+        for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = new Date(year, date.getMonth(), date.getDate() + 1)) {
+            days.push({ date, value: this.getValue(location, date, target) });
+        }
+
+        return days;
+    }
+}
+
+// Export for use in other modules
+window.DaySearch = DaySearch;
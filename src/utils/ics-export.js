@@ -0,0 +1,365 @@
+/**
+ * iCalendar Export
+ * Builds RFC 5545 .ics files of a location's light events (dawn, sunrise, sunset,
+ * dusk, golden hour). Times are written in the location's own timezone (TZID) with
+ * a VTIMEZONE generated from the browser's timezone data for the exported range.
+ */
+
+class IcsExport {
+    constructor() {
+        this.PRODID = '-//Solar Symmetry//Light Events//EN';
+        this.MAX_LINE_OCTETS = 75;
+        this.MS_PER_MINUTE = 60 * 1000;
+        this.MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+        // Exportable event types; field names refer to TwilightClient data
+        this.EVENT_TYPES = {
+            dawn: { label: 'Dawn', description: 'Civil twilight begins (sun 6° below the horizon)', field: 'dawnISO' },
+            sunrise: { label: 'Sunrise', description: 'The sun rises', field: 'sunriseISO' },
+            sunset: { label: 'Sunset', description: 'The sun sets', field: 'sunsetISO' },
+            dusk: { label: 'Dusk', description: 'Civil twilight ends (sun 6° below the horizon)', field: 'duskISO' },
+            goldenHour: { label: 'Golden hour', description: 'Sun between -4° and +6°: warm, soft light for photography', windows: ['morning', 'evening'] },
+            lightAfterWork: { label: 'Light after work returns', description: 'First working day with daylight after work' }
+        };
+    }
+
+    /**
+     * Turn a location's twilight data into light events
+     * @param {Array<Object>} days - Items of { date, twilightData }
+     * @param {Array<string>} types - Keys of EVENT_TYPES to include (timed types only)
+     * @param {Object} location - { name, lat, lng }
+     * @returns {Array<Object>} - Events for build()
+     */
+    getLightEvents(days, types, location) {
+        const events = [];
+        const place = this.getPlaceKey(location);
+
+        days.forEach(({ date, twilightData }) => {
+            if (!twilightData || twilightData.error) return;
+
+            types.forEach(type => {
+                const eventType = this.EVENT_TYPES[type];
+
+                if (eventType.field && twilightData[eventType.field]) {
+                    events.push({
+                        uid: `${type}-${this.formatDate(date)}-${place}`,
+                        summary: `${eventType.label} · ${location.name}`,
+                        description: eventType.description,
+                        start: new Date(twilightData[eventType.field])
+                    });
+                }
+
+                // Polar night: a single window around noon instead of a morning and an evening one
+                if (eventType.windows && twilightData[`${type}State`] === 'midday') {
+                    events.push({
+                        uid: `${type}-midday-${this.formatDate(date)}-${place}`,
+                        summary: `${eventType.label} · ${location.name}`,
+                        description: eventType.description,
+                        start: new Date(twilightData[`${type}MorningStartISO`]),
+                        end: new Date(twilightData[`${type}EveningEndISO`])
+                    });
+                    return;
+                }
+
+                (eventType.windows || []).forEach(half => {
+                    const start = twilightData[`${type}${this.capitalize(half)}StartISO`];
+                    const end = twilightData[`${type}${this.capitalize(half)}EndISO`];
+                    if (!start || !end) return; // Open-ended windows (through midnight) are left out
+
+                    events.push({
+                        uid: `${type}-${half}-${this.formatDate(date)}-${place}`,
+                        summary: `${eventType.label} (${half}) · ${location.name}`,
+                        description: eventType.description,
+                        start: new Date(start),
+                        end: new Date(end)
+                    });
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Create an all-day event
+     * @param {string} type - Key of EVENT_TYPES
+     * @param {Date} date - Local calendar date
+     * @param {Object} location - { name, lat, lng }
+     * @param {string} detail - Extra description line
+     */
+    getAllDayEvent(type, date, location, detail = '') {
+        const eventType = this.EVENT_TYPES[type];
+
+        return {
+            uid: `${type}-${this.formatDate(date)}-${this.getPlaceKey(location)}`,
+            summary: `${eventType.label} · ${location.name}`,
+            description: detail ? `${eventType.description}\n${detail}` : eventType.description,
+            allDay: date
+        };
+    }
+
+    /**
+     * Build the calendar file
+     * @param {Object} options - Calendar options
+     * @param {string} options.name - Calendar name
+     * @param {string} options.timezone - IANA timezone the times are written in
+     * @param {Array<Object>} options.events - Items of { uid, summary, description, start, end } (instants)
+     *        or { uid, summary, description, allDay } (local date)
+     * @returns {string} - .ics contents with CRLF line endings
+     */
+    build({ name, timezone, events }) {
+        const stamp = this.formatUtc(new Date());
+        const instants = events.filter(event => event.start).map(event => event.start.getTime());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(name)}`,
+            `X-WR-TIMEZONE:${timezone}`
+        ];
+
+        if (instants.length > 0) {
+            lines.push(...this.createTimezone(timezone, new Date(Math.min(...instants)), new Date(Math.max(...instants))));
+        }
+
+        events.forEach(event => {
+            lines.push(...this.createEvent(event, timezone, stamp));
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Lines of one VEVENT
+     * Point-in-time events have no DTEND, so they end when they start (RFC 5545 3.6.1).
+     */
+    createEvent(event, timezone, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@solar-symmetry`,
+            `DTSTAMP:${stamp}`
+        ];
+
+        if (event.allDay) {
+            const nextDay = new Date(event.allDay.getFullYear(), event.allDay.getMonth(), event.allDay.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.allDay)}`);
+            lines.push(`DTEND;VALUE=DATE:${this.formatDate(nextDay)}`);
+            lines.push('TRANSP:TRANSPARENT');
+        } else {
+            lines.push(`DTSTART;TZID=${timezone}:${this.formatLocal(event.start, timezone)}`);
+            if (event.end) {
+                lines.push(`DTEND;TZID=${timezone}:${this.formatLocal(event.end, timezone)}`);
+            }
+            lines.push('TRANSP:TRANSPARENT');
+        }
+
+        lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+        if (event.description) {
+            lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        }
+        lines.push('END:VEVENT');
+
+        return lines;
+    }
+
+    /**
+     * Lines of the VTIMEZONE for a range: the offset in force at the start, then
+     * every transition (daylight saving change) inside the range
+     * @param {string} timezone - IANA timezone
+     * @param {Date} start - First exported instant
+     * @param {Date} end - Last exported instant
+     */
+    createTimezone(timezone, start, end) {
+        const from = start.getTime() - this.MS_PER_DAY;
+        const to = end.getTime() + this.MS_PER_DAY;
+        const transitions = [];
+
+        let previousOffset = this.getOffsetMinutes(new Date(from), timezone);
+        const initialOffset = previousOffset;
+
+        for (let time = from + this.MS_PER_DAY; time <= to; time += this.MS_PER_DAY) {
+            const offset = this.getOffsetMinutes(new Date(time), timezone);
+            if (offset !== previousOffset) {
+                transitions.push({
+                    instant: this.findTransition(time - this.MS_PER_DAY, time, timezone),
+                    from: previousOffset,
+                    to: offset
+                });
+                previousOffset = offset;
+            }
+        }
+
+        // The lowest offset seen is standard time, anything above it daylight saving time
+        const standardOffset = Math.min(initialOffset, ...transitions.map(transition => transition.to));
+        const observance = (offset, fromOffset, onset) => [
+            `BEGIN:${offset > standardOffset ? 'DAYLIGHT' : 'STANDARD'}`,
+            `DTSTART:${onset}`,
+            `TZOFFSETFROM:${this.formatOffset(fromOffset)}`,
+            `TZOFFSETTO:${this.formatOffset(offset)}`,
+            `END:${offset > standardOffset ? 'DAYLIGHT' : 'STANDARD'}`
+        ];
+
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+        lines.push(...observance(initialOffset, initialOffset, '19700101T000000'));
+
+        // Onsets are written in the wall-clock time that was in force just before the change
+        transitions.forEach(transition => {
+            const onset = this.formatFields(new Date(transition.instant.getTime() + transition.from * this.MS_PER_MINUTE));
+            lines.push(...observance(transition.to, transition.from, onset));
+        });
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * Narrow an offset change down to the minute
+     * @param {number} before - Time (ms) with the old offset
+     * @param {number} after - Time (ms) with the new offset
+     * @returns {Date} - First minute with the new offset
+     */
+    findTransition(before, after, timezone) {
+        const oldOffset = this.getOffsetMinutes(new Date(before), timezone);
+        let low = Math.floor(before / this.MS_PER_MINUTE);
+        let high = Math.floor(after / this.MS_PER_MINUTE);
+
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (this.getOffsetMinutes(new Date(middle * this.MS_PER_MINUTE), timezone) === oldOffset) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        return new Date(high * this.MS_PER_MINUTE);
+    }
+
+    /**
+     * Get a timezone's UTC offset at an instant
+     * @returns {number} - Minutes east of UTC
+     */
+    getOffsetMinutes(instant, timezone) {
+        const wallClock = this.getWallClockParts(instant, timezone);
+        const asUtc = Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hour, wallClock.minute, wallClock.second);
+
+        return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / this.MS_PER_MINUTE);
+    }
+
+    /**
+     * Get the wall-clock date and time of an instant in a timezone
+     * @returns {Object} - { year, month, day, hour, minute, second }
+     */
+    getWallClockParts(instant, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(instant).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+
+        return parts;
+    }
+
+    /**
+     * Format an instant as local DATE-TIME in a timezone, e.g. 20261019T071400
+     */
+    formatLocal(instant, timezone) {
+        const parts = this.getWallClockParts(instant, timezone);
+        return this.formatFields(new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)));
+    }
+
+    /**
+     * Format the UTC fields of a Date as DATE-TIME without a zone, e.g. 20261019T071400
+     */
+    formatFields(date) {
+        return date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    }
+
+    /**
+     * Format an instant as UTC DATE-TIME, e.g. 20261019T061400Z
+     */
+    formatUtc(instant) {
+        return `${this.formatFields(instant)}Z`;
+    }
+
+    /**
+     * Format a local calendar date as DATE, e.g. 20261019
+     */
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}${month}${day}`;
+    }
+
+    /**
+     * Format a UTC offset in minutes as +HHMM / -HHMM
+     */
+    formatOffset(minutes) {
+        const absolute = Math.abs(minutes);
+        const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+        return `${minutes < 0 ? '-' : '+'}${hours}${String(absolute % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Escape a TEXT value (RFC 5545 3.3.11)
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line to at most 75 octets (RFC 5545 3.1), never splitting a character
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const folded = [];
+        let current = '';
+        let limit = this.MAX_LINE_OCTETS;
+
+        for (const character of line) {
+            if (encoder.encode(current + character).length > limit) {
+                folded.push(current);
+                current = '';
+                limit = this.MAX_LINE_OCTETS - 1; // Continuation lines start with a space
+            }
+            current += character;
+        }
+        folded.push(current);
+
+        return folded.join('\r\n ');
+    }
+
+    /**
+     * Stable identifier for a location in event UIDs, e.g. "51.5074_-0.1278"
+     * (no comma: unescaped, it separates values in iCalendar text)
+     */
+    getPlaceKey(location) {
+        return `${location.lat.toFixed(4)}_${location.lng.toFixed(4)}`;
+    }
+
+    /**
+     * Upper-case the first letter
+     */
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Export for use in other modules
+window.IcsExport = IcsExport;
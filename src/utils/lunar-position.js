@@ -0,0 +1,293 @@
+/**
+ * Lunar Position Calculations
+ * Offline moon position, phase, illumination and rise/set times
+ * (truncated series from Jean Meeus, "Astronomical Algorithms", chapters 47-48)
+ */
+
+class LunarCalculator {
+    constructor() {
+        this.solar = new SolarCalculator();
+
+        this.MS_PER_DAY = 24 * 60 * 60 * 1000;
+        this.MS_PER_MINUTE = 60 * 1000;
+        this.SCAN_STEP_MINUTES = 10; // Rise/set search resolution before interpolation
+        this.EARTH_RADIUS_KM = 6378.14;
+        this.AU_KM = 149597870.7;
+
+        this.formatters = new Map(); // One wall-clock formatter per timezone (building one is slow)
+
+        this.PHASE_NAMES = [
+            'New moon', 'Waxing crescent', 'First quarter', 'Waxing gibbous',
+            'Full moon', 'Waning gibbous', 'Last quarter', 'Waning crescent'
+        ];
+    }
+
+    /**
+     * Get the moon's phase and illumination at an instant
+     * @param {Date} time - The instant
+     * @returns {Object} - { phase (0 = new, 0.5 = full), illumination (0-1), name }
+     */
+    getMoonPhase(time) {
+        const moon = this.getEclipticPosition(time);
+        const sunLongitude = this.solar.getSunParameters(time).longitude;
+
+        const elongation = this.solar.normalizeDegrees(moon.longitude - sunLongitude);
+        const cosPsi = Math.cos(this.toRadians(moon.latitude)) * Math.cos(this.toRadians(elongation));
+        const psi = Math.acos(cosPsi);
+
+        // Phase angle as seen from the moon (Meeus 48.3, sun distance taken as 1 AU)
+        const phaseAngle = Math.atan2(this.AU_KM * Math.sin(psi), moon.distance - this.AU_KM * cosPsi);
+        const phase = elongation / 360;
+
+        return {
+            phase,
+            illumination: (1 + Math.cos(phaseAngle)) / 2,
+            name: this.PHASE_NAMES[Math.round(phase * 8) % 8]
+        };
+    }
+
+    /**
+     * Get moonrise and moonset on a calendar day in a timezone
+     * The moon rises about 50 minutes later each day, so some days have no rise or no set.
+     * @param {Date} date - The date (local calendar day is used)
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {string} timezone - IANA timezone whose midnight-to-midnight day is searched
+     * @returns {Object} - { rise, set, state } where state is 'normal', 'above' (up all day)
+     *                     or 'below' (down all day); rise/set are Dates or null
+     */
+    getMoonTimes(date, lat, lng, timezone) {
+        const start = this.getZonedMidnight(date, timezone, lng);
+        const end = this.getZonedMidnight(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1), timezone, lng);
+        const step = this.SCAN_STEP_MINUTES * this.MS_PER_MINUTE;
+
+        const heightAt = (ms) => {
+            const position = this.getMoonPosition(new Date(ms), lat, lng);
+            return position.altitude - this.getHorizonAltitude(position.distance);
+        };
+
+        let rise = null;
+        let set = null;
+        let previousTime = start;
+        let previousHeight = heightAt(start);
+        const startHeight = previousHeight;
+
+        for (let time = start + step; time <= end + step / 2 && (!rise || !set); time += step) {
+            const current = Math.min(time, end);
+            const height = heightAt(current);
+
+            if (previousHeight < 0 && height >= 0 && !rise) {
+                rise = this.interpolateCrossing(previousTime, previousHeight, current, height);
+            } else if (previousHeight >= 0 && height < 0 && !set) {
+                set = this.interpolateCrossing(previousTime, previousHeight, current, height);
+            }
+
+            previousTime = current;
+            previousHeight = height;
+        }
+
+        if (rise || set) {
+            return { rise, set, state: 'normal' };
+        }
+
+        return { rise: null, set: null, state: startHeight >= 0 ? 'above' : 'below' };
+    }
+
+    /**
+     * Linear interpolation of a horizon crossing between two samples
+     */
+    interpolateCrossing(time1, height1, time2, height2) {
+        const fraction = height1 / (height1 - height2);
+        return new Date(time1 + (time2 - time1) * fraction);
+    }
+
+    /**
+     * Altitude of the moon's centre at rise/set: parallax minus refraction and semi-diameter
+     * @param {number} distance - Earth-moon distance in km
+     * @returns {number} - Altitude in degrees (about +0.13°)
+     */
+    getHorizonAltitude(distance) {
+        const parallax = this.toDegrees(Math.asin(this.EARTH_RADIUS_KM / distance));
+        return 0.7275 * parallax - 0.5667;
+    }
+
+    /**
+     * Get the moon's position in the sky at an instant
+     * @param {Date} time - The instant
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} - { altitude, azimuth, distance } (degrees, clockwise from north; km)
+     */
+    getMoonPosition(time, lat, lng) {
+        const moon = this.getEclipticPosition(time);
+        const { rightAscension, declination } = this.toEquatorial(moon.longitude, moon.latitude, time);
+
+        const daysSinceJ2000 = time.getTime() / this.MS_PER_DAY + 2440587.5 - 2451545;
+        const siderealTime = this.solar.normalizeDegrees(280.46061837 + 360.98564736629 * daysSinceJ2000 + lng);
+        const hourAngle = this.toRadians(siderealTime - rightAscension);
+
+        const latRad = this.toRadians(lat);
+        const decRad = this.toRadians(declination);
+
+        const altitude = Math.asin(
+            Math.sin(latRad) * Math.sin(decRad) +
+            Math.cos(latRad) * Math.cos(decRad) * Math.cos(hourAngle)
+        );
+
+        const azimuth = Math.atan2(
+            Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(latRad) - Math.tan(decRad) * Math.cos(latRad)
+        );
+
+        return {
+            altitude: this.toDegrees(altitude),
+            azimuth: (this.toDegrees(azimuth) + 180) % 360,
+            distance: moon.distance
+        };
+    }
+
+    /**
+     * Geocentric ecliptic position of the moon (largest terms of Meeus, table 47.A/B)
+     * Good to about 0.1°, plenty for rise/set times to the minute.
+     * @param {Date} time - The instant
+     * @returns {Object} - { longitude, latitude (degrees), distance (km) }
+     */
+    getEclipticPosition(time) {
+        const t = (time.getTime() / this.MS_PER_DAY + 2440587.5 - 2451545) / 36525;
+        const rad = (degrees) => this.toRadians(degrees);
+
+        const meanLongitude = 218.3164477 + 481267.88123421 * t;
+        const D = rad(297.8501921 + 445267.1114034 * t);  // Mean elongation
+        const M = rad(357.5291092 + 35999.0502909 * t);   // Sun's mean anomaly
+        const Mp = rad(134.9633964 + 477198.8675055 * t); // Moon's mean anomaly
+        const F = rad(93.2720950 + 483202.0175233 * t);   // Argument of latitude
+
+        const longitude = meanLongitude +
+            6.288774 * Math.sin(Mp) +
+            1.274027 * Math.sin(2 * D - Mp) +
+            0.658314 * Math.sin(2 * D) +
+            0.213618 * Math.sin(2 * Mp) -
+            0.185116 * Math.sin(M) -
+            0.114332 * Math.sin(2 * F) +
+            0.058793 * Math.sin(2 * D - 2 * Mp) +
+            0.057066 * Math.sin(2 * D - M - Mp) +
+            0.053322 * Math.sin(2 * D + Mp) +
+            0.045758 * Math.sin(2 * D - M) -
+            0.040923 * Math.sin(M - Mp) -
+            0.034720 * Math.sin(D) -
+            0.030383 * Math.sin(M + Mp);
+
+        const latitude =
+            5.128122 * Math.sin(F) +
+            0.280602 * Math.sin(Mp + F) +
+            0.277693 * Math.sin(Mp - F) +
+            0.173237 * Math.sin(2 * D - F) +
+            0.055413 * Math.sin(2 * D - Mp + F) +
+            0.046271 * Math.sin(2 * D - Mp - F);
+
+        const distance = 385000.56 -
+            20905.355 * Math.cos(Mp) -
+            3699.111 * Math.cos(2 * D - Mp) -
+            2955.968 * Math.cos(2 * D) -
+            569.925 * Math.cos(2 * Mp);
+
+        return {
+            longitude: this.solar.normalizeDegrees(longitude),
+            latitude,
+            distance
+        };
+    }
+
+    /**
+     * Convert ecliptic coordinates to right ascension and declination
+     * @returns {Object} - { rightAscension, declination } in degrees
+     */
+    toEquatorial(longitude, latitude, time) {
+        const t = (time.getTime() / this.MS_PER_DAY + 2440587.5 - 2451545) / 36525;
+        const obliquity = this.toRadians(23.4392911 - 0.0130042 * t);
+        const lambda = this.toRadians(longitude);
+        const beta = this.toRadians(latitude);
+
+        const rightAscension = Math.atan2(
+            Math.sin(lambda) * Math.cos(obliquity) - Math.tan(beta) * Math.sin(obliquity),
+            Math.cos(lambda)
+        );
+        const declination = Math.asin(
+            Math.sin(beta) * Math.cos(obliquity) +
+            Math.cos(beta) * Math.sin(obliquity) * Math.sin(lambda)
+        );
+
+        return {
+            rightAscension: this.solar.normalizeDegrees(this.toDegrees(rightAscension)),
+            declination: this.toDegrees(declination)
+        };
+    }
+
+    /**
+     * Get the UTC instant of local midnight for a calendar day in a timezone
+     * Without a timezone, falls back to local mean time from the longitude.
+     * @param {Date} date - The date (local calendar day is used)
+     * @param {string} timezone - IANA timezone identifier
+     * @param {number} lng - Longitude (fallback only)
+     * @returns {number} - Milliseconds since the epoch
+     */
+    getZonedMidnight(date, timezone, lng) {
+        const utcMidnight = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+
+        if (!timezone) {
+            return utcMidnight - lng * 4 * this.MS_PER_MINUTE;
+        }
+
+        // Offset at the first guess, then again at the result in case a DST change lies between
+        let midnight = utcMidnight - this.getTimezoneOffsetMs(utcMidnight, timezone);
+        midnight = utcMidnight - this.getTimezoneOffsetMs(midnight, timezone);
+
+        return midnight;
+    }
+
+    /**
+     * Get a timezone's offset from UTC at an instant
+     * @param {number} ms - Instant in milliseconds since the epoch
+     * @param {string} timezone - IANA timezone identifier
+     * @returns {number} - Offset in milliseconds (positive east of Greenwich)
+     */
+    getTimezoneOffsetMs(ms, timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+                hourCycle: 'h23'
+            }));
+        }
+
+        const parts = {};
+        this.formatters.get(timezone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wallClock - Math.floor(ms / 1000) * 1000;
+    }
+
+    /**
+     * Convert degrees to radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Convert radians to degrees
+     */
+    toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
+
+// Export for use in other modules
+window.LunarCalculator = LunarCalculator;
@@ -0,0 +1,290 @@
+/**
+ * Persistent Cache
+ * Size-bounded IndexedDB key/value cache with TTL eviction, shared by the API clients.
+ * Entries are grouped by cache name (one per client) and namespace (e.g. one per location).
+ * When IndexedDB is unavailable (private browsing, old browsers) every call is a harmless no-op.
+ */
+
+class PersistentCache {
+    /**
+     * @param {string} name - Cache name, e.g. 'twilight' or 'geocoding'
+     * @param {Object} options - Cache options
+     * @param {number} options.maxAge - Time to live in milliseconds
+     * @param {number} options.maxEntries - Oldest entries beyond this count are evicted
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 1000;
+
+        this.DB_NAME = 'solarSymmetryCache';
+        this.DB_VERSION = 1;
+        this.STORE = 'entries';
+        this.PRUNE_INTERVAL = 50; // Check the size bound every this many writes
+
+        this.dbPromise = null;
+        this.writesSincePrune = 0;
+        this.prunePending = false;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase|null>} - The database, or null when IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+                    store.createIndex('cacheTimestamp', ['cache', 'timestamp']);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Persistent cache unavailable:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('Persistent cache unavailable:', error);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Get a fresh entry
+     * Entries that have expired, or were written by another app version, count as misses.
+     * @param {string} namespace - Namespace, e.g. a location key
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<Object|null>} - { data, timestamp } or null
+     */
+    async get(namespace, key) {
+        try {
+            const entry = await this.run('readonly', store => store.get(this.getId(namespace, key)));
+            if (!entry) return null;
+
+            if (Date.now() - entry.timestamp >= this.maxAge || entry.version !== window.APP_VERSION) {
+                this.delete(namespace, key);
+                return null;
+            }
+
+            return { data: entry.data, timestamp: entry.timestamp };
+        } catch (error) {
+            console.warn('Persistent cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry
+     * @param {string} namespace - Namespace, e.g. a location key
+     * @param {string} key - Key within the namespace
+     * @param {*} data - Structured-cloneable value
+     */
+    async set(namespace, key, data) {
+        try {
+            await this.run('readwrite', store => store.put({
+                id: this.getId(namespace, key),
+                cache: this.name,
+                namespace,
+                key,
+                data,
+                timestamp: Date.now(),
+                version: window.APP_VERSION
+            }));
+
+            this.writesSincePrune++;
+            if (this.writesSincePrune >= this.PRUNE_INTERVAL) {
+                this.schedulePrune();
+            }
+        } catch (error) {
+            console.warn('Persistent cache write failed:', error);
+        }
+    }
+
+    /**
+     * Prune once the browser is idle; a burst of writes (e.g. a batch) shares a single prune
+     */
+    schedulePrune() {
+        if (this.prunePending) return;
+        this.prunePending = true;
+
+        const run = () => {
+            this.writesSincePrune = 0;
+            this.prune().then(() => {
+                this.prunePending = false;
+            });
+        };
+
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(run, { timeout: 5000 });
+        } else {
+            setTimeout(run, 1000);
+        }
+    }
+
+    /**
+     * Remove one entry
+     * @param {string} namespace - Namespace, e.g. a location key
+     * @param {string} key - Key within the namespace
+     */
+    async delete(namespace, key) {
+        try {
+            await this.run('readwrite', store => store.delete(this.getId(namespace, key)));
+        } catch (error) {
+            console.warn('Persistent cache delete failed:', error);
+        }
+    }
+
+    /**
+     * Evict expired entries, then the oldest entries beyond maxEntries
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async prune() {
+        const expiredBefore = Date.now() - this.maxAge;
+        let total = 0;
+        let removed = 0;
+
+        try {
+            await this.eachEntry('readwrite', (cursor) => {
+                total++;
+                if (cursor.value.timestamp < expiredBefore) {
+                    cursor.delete();
+                    removed++;
+                }
+            });
+
+            // Cursor runs oldest first, so the first entries over the limit are the ones to drop
+            let excess = total - removed - this.maxEntries;
+            if (excess > 0) {
+                await this.eachEntry('readwrite', (cursor) => {
+                    if (excess <= 0) return false;
+                    cursor.delete();
+                    excess--;
+                    removed++;
+                });
+            }
+        } catch (error) {
+            console.warn('Persistent cache prune failed:', error);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Clear the whole cache, or a single namespace
+     * @param {string} namespace - Optional namespace to clear
+     */
+    async clear(namespace = null) {
+        try {
+            await this.eachEntry('readwrite', (cursor) => {
+                if (namespace === null || cursor.value.namespace === namespace) {
+                    cursor.delete();
+                }
+            });
+            this.writesSincePrune = 0;
+        } catch (error) {
+            console.warn('Persistent cache clear failed:', error);
+        }
+    }
+
+    /**
+     * Inspect the cache
+     * @returns {Promise<Object>} - { available, entries, namespaces: { [namespace]: count }, oldest, newest, maxAge, maxEntries }
+     */
+    async getStats() {
+        const stats = {
+            available: Boolean(await this.open()),
+            entries: 0,
+            namespaces: {},
+            oldest: null,
+            newest: null,
+            maxAge: this.maxAge,
+            maxEntries: this.maxEntries
+        };
+
+        try {
+            await this.eachEntry('readonly', (cursor) => {
+                const { namespace, timestamp } = cursor.value;
+                stats.entries++;
+                stats.namespaces[namespace] = (stats.namespaces[namespace] || 0) + 1;
+                stats.oldest = stats.oldest === null ? timestamp : Math.min(stats.oldest, timestamp);
+                stats.newest = stats.newest === null ? timestamp : Math.max(stats.newest, timestamp);
+            });
+        } catch (error) {
+            console.warn('Persistent cache inspection failed:', error);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Walk this cache's entries, oldest first
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} visit - (cursor) => false to stop early
+     * @returns {Promise<void>}
+     */
+    async eachEntry(mode, visit) {
+        const db = await this.open();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const range = IDBKeyRange.bound([this.name, -Infinity], [this.name, Infinity]);
+            const request = transaction.objectStore(this.STORE).index('cacheTimestamp').openCursor(range);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && visit(cursor) !== false) {
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} - The request's result (undefined when IndexedDB is unavailable)
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const request = makeRequest(transaction.objectStore(this.STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Build the primary key for an entry
+     * @param {string} namespace - Namespace, e.g. a location key
+     * @param {string} key - Key within the namespace
+     * @returns {string} - e.g. "twilight|51.5074,-0.1278|2026-10-19"
+     */
+    getId(namespace, key) {
+        return `${this.name}|${namespace}|${key}`;
+    }
+}
+
+// Export for use in other modules
+window.PersistentCache = PersistentCache;
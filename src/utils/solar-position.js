@@ -0,0 +1,361 @@
+/**
+ * Solar Position Calculations
+ * Offline sun position and rise/set times using the NOAA solar calculator
+ * equations (after Jean Meeus, "Astronomical Algorithms")
+ */
+
+class SolarCalculator {
+    constructor() {
+        // Sun altitudes (degrees) that define each event
+        this.ALTITUDES = {
+            sunrise: -0.833,      // Upper limb on the horizon, with refraction
+            civil: -6,
+            nautical: -12,
+            astronomical: -18,
+            goldenHour: 6,        // Golden hour: sun between -4° and +6°
+            blueHour: -4          // Blue hour: sun between -6° and -4°
+        };
+
+        this.MS_PER_DAY = 24 * 60 * 60 * 1000;
+        this.MS_PER_MINUTE = 60 * 1000;
+
+        // Periodic terms [A, B, C] for equinox/solstice instants (Meeus, table 27.C)
+        this.SEASON_TERMS = [
+            [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186],
+            [182, 27.85, 445267.112], [156, 73.14, 45036.886], [136, 171.52, 22518.443],
+            [77, 222.54, 65928.934], [74, 296.72, 3034.906], [70, 243.58, 9037.513],
+            [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.226],
+            [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417],
+            [18, 155.12, 67555.328], [17, 288.79, 4562.452], [16, 198.04, 62894.029],
+            [14, 199.76, 31436.921], [12, 95.39, 14577.848], [12, 287.11, 31931.756],
+            [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074]
+        ];
+    }
+
+    /**
+     * Get sun event times for a calendar date and location
+     * Result mirrors the sunrise-sunset.org `results` shape so both sources
+     * can be processed the same way. Events that do not happen are null.
+     * @param {Date} date - The date (local calendar day is used)
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} - ISO time strings keyed like the API response
+     */
+    getSunTimes(date, lat, lng) {
+        const sun = this.getTimesForAltitude(date, lat, lng, this.ALTITUDES.sunrise);
+        const civil = this.getTimesForAltitude(date, lat, lng, this.ALTITUDES.civil);
+        const nautical = this.getTimesForAltitude(date, lat, lng, this.ALTITUDES.nautical);
+        const astronomical = this.getTimesForAltitude(date, lat, lng, this.ALTITUDES.astronomical);
+        const solarNoon = this.getSolarNoon(date, lng);
+
+        const toISO = (time) => time ? time.toISOString() : null;
+
+        return {
+            sunrise: toISO(sun.rise),
+            sunset: toISO(sun.set),
+            solar_noon: toISO(solarNoon),
+            day_length: sun.rise && sun.set ? Math.round((sun.set - sun.rise) / 1000) : null,
+            civil_twilight_begin: toISO(civil.rise),
+            civil_twilight_end: toISO(civil.set),
+            nautical_twilight_begin: toISO(nautical.rise),
+            nautical_twilight_end: toISO(nautical.set),
+            astronomical_twilight_begin: toISO(astronomical.rise),
+            astronomical_twilight_end: toISO(astronomical.set)
+        };
+    }
+
+    /**
+     * Get the times the sun crosses a given altitude on a calendar date
+     * @param {Date} date - The date (local calendar day is used)
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} altitude - Sun altitude in degrees
+     * @returns {Object} - { rise, set, state } where state is 'normal',
+     *                     'above' (never drops below) or 'below' (never reaches)
+     */
+    getTimesForAltitude(date, lat, lng, altitude) {
+        const solarNoon = this.getSolarNoon(date, lng);
+        const noonHourAngle = this.getHourAngle(lat, this.getSunParameters(solarNoon).declination, altitude);
+
+        if (typeof noonHourAngle === 'string') {
+            return { rise: null, set: null, state: noonHourAngle };
+        }
+
+        return {
+            rise: this.refineCrossing(solarNoon, lat, altitude, -1),
+            set: this.refineCrossing(solarNoon, lat, altitude, 1),
+            state: 'normal'
+        };
+    }
+
+    /**
+     * Get the morning and evening windows in which the sun is between two altitudes
+     * (golden hour, blue hour). Edge cases at high latitudes are reported via `state`:
+     * 'normal' (a morning and an evening window), 'midday' (one window around noon when the
+     * sun never climbs above the band: only morningStart/eveningEnd are set), 'allDay' (the sun
+     * stays inside the band all day), 'overnight' (one window through the night: morningStart/
+     * eveningEnd are null) or 'none' (the sun never enters the band).
+     * @param {Date} date - The date (local calendar day is used)
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} lower - Lower altitude in degrees
+     * @param {number} upper - Upper altitude in degrees
+     * @returns {Object} - { state, morningStart, morningEnd, eveningStart, eveningEnd } (Dates or null)
+     */
+    getAltitudeWindow(date, lat, lng, lower, upper) {
+        const low = this.getTimesForAltitude(date, lat, lng, lower);
+        const high = this.getTimesForAltitude(date, lat, lng, upper);
+        const none = { state: 'none', morningStart: null, morningEnd: null, eveningStart: null, eveningEnd: null };
+
+        // Never climbs into the band, or never drops into it
+        if (low.state === 'below' || high.state === 'above') return none;
+
+        if (high.state === 'below') {
+            // Never gets above the band: inside it whenever above the lower altitude
+            return low.state === 'above'
+                ? { ...none, state: 'allDay' }
+                : { state: 'midday', morningStart: low.rise, morningEnd: null, eveningStart: null, eveningEnd: low.set };
+        }
+
+        if (low.state === 'above') {
+            // Never drops below the band: one window from evening through to morning
+            return { state: 'overnight', morningStart: null, morningEnd: high.rise, eveningStart: high.set, eveningEnd: null };
+        }
+
+        return {
+            state: 'normal',
+            morningStart: low.rise,
+            morningEnd: high.rise,
+            eveningStart: high.set,
+            eveningEnd: low.set
+        };
+    }
+
+    /**
+     * Iterate towards the instant the sun crosses an altitude
+     * @param {Date} solarNoon - Solar noon for the day
+     * @param {number} lat - Latitude
+     * @param {number} altitude - Sun altitude in degrees
+     * @param {number} direction - -1 for the morning crossing, 1 for the evening crossing
+     * @returns {Date|null} - Crossing time, or null if the sun does not cross
+     */
+    refineCrossing(solarNoon, lat, altitude, direction) {
+        const noonEquationOfTime = this.getSunParameters(solarNoon).equationOfTime;
+        let time = solarNoon;
+
+        for (let i = 0; i < 3; i++) {
+            const params = this.getSunParameters(time);
+            const hourAngle = this.getHourAngle(lat, params.declination, altitude);
+
+            if (typeof hourAngle === 'string') return null;
+
+            // Solar noon drifts with the equation of time as the day goes on
+            const noon = solarNoon.getTime() + (noonEquationOfTime - params.equationOfTime) * this.MS_PER_MINUTE;
+            time = new Date(noon + direction * hourAngle * 4 * this.MS_PER_MINUTE);
+        }
+
+        return time;
+    }
+
+    /**
+     * Get the hour angle (degrees) at which the sun reaches an altitude
+     * @param {number} lat - Latitude
+     * @param {number} declination - Solar declination in degrees
+     * @param {number} altitude - Sun altitude in degrees
+     * @returns {number|string} - Hour angle, or 'above'/'below' if never crossed
+     */
+    getHourAngle(lat, declination, altitude) {
+        const latRad = this.toRadians(lat);
+        const decRad = this.toRadians(declination);
+        const cosHourAngle = (Math.sin(this.toRadians(altitude)) - Math.sin(latRad) * Math.sin(decRad)) /
+            (Math.cos(latRad) * Math.cos(decRad));
+
+        if (cosHourAngle > 1) return 'below';
+        if (cosHourAngle < -1) return 'above';
+
+        return this.toDegrees(Math.acos(cosHourAngle));
+    }
+
+    /**
+     * Get solar noon for a calendar date at a longitude
+     * @param {Date} date - The date (local calendar day is used)
+     * @param {number} lng - Longitude
+     * @returns {Date} - Solar noon (UTC instant)
+     */
+    getSolarNoon(date, lng) {
+        const midnightUTC = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const estimate = new Date(midnightUTC + (720 - 4 * lng) * this.MS_PER_MINUTE);
+
+        return this.getSolarNoonNear(this.getSolarNoonNear(estimate, lng), lng);
+    }
+
+    /**
+     * Get the solar noon closest to an instant
+     * @param {Date} time - Instant near the wanted solar noon
+     * @param {number} lng - Longitude
+     * @returns {Date} - Solar noon (UTC instant)
+     */
+    getSolarNoonNear(time, lng) {
+        const { equationOfTime } = this.getSunParameters(time);
+        const dayStart = Math.floor((time.getTime() + 4 * lng * this.MS_PER_MINUTE) / this.MS_PER_DAY) * this.MS_PER_DAY;
+
+        return new Date(dayStart + (720 - 4 * lng - equationOfTime) * this.MS_PER_MINUTE);
+    }
+
+    /**
+     * Get the sun's position in the sky at an instant
+     * @param {Date} time - The instant
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} - { elevation, azimuth } in degrees (azimuth clockwise from north)
+     */
+    getSolarPosition(time, lat, lng) {
+        const { declination, equationOfTime } = this.getSunParameters(time);
+        const utcMinutes = (time.getTime() % this.MS_PER_DAY + this.MS_PER_DAY) % this.MS_PER_DAY / this.MS_PER_MINUTE;
+        const trueSolarMinutes = utcMinutes + equationOfTime + 4 * lng;
+        const hourAngle = this.toRadians(trueSolarMinutes / 4 - 180);
+
+        const latRad = this.toRadians(lat);
+        const decRad = this.toRadians(declination);
+
+        const elevation = Math.asin(
+            Math.sin(latRad) * Math.sin(decRad) +
+            Math.cos(latRad) * Math.cos(decRad) * Math.cos(hourAngle)
+        );
+
+        const azimuth = Math.atan2(
+            Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(latRad) - Math.tan(decRad) * Math.cos(latRad)
+        );
+
+        return {
+            elevation: this.toDegrees(elevation),
+            azimuth: (this.toDegrees(azimuth) + 180) % 360
+        };
+    }
+
+    /**
+     * Get solar declination and equation of time at an instant
+     * @param {Date} time - The instant
+     * @returns {Object} - { declination (degrees), equationOfTime (minutes), longitude (apparent ecliptic, degrees) }
+     */
+    getSunParameters(time) {
+        const julianDay = time.getTime() / this.MS_PER_DAY + 2440587.5;
+        const t = (julianDay - 2451545) / 36525; // Julian centuries since J2000
+
+        const meanLongitude = this.normalizeDegrees(280.46646 + t * (36000.76983 + t * 0.0003032));
+        const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+        const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+        const anomalyRad = this.toRadians(meanAnomaly);
+        const equationOfCenter =
+            Math.sin(anomalyRad) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+            Math.sin(2 * anomalyRad) * (0.019993 - 0.000101 * t) +
+            Math.sin(3 * anomalyRad) * 0.000289;
+
+        const trueLongitude = meanLongitude + equationOfCenter;
+        const omega = this.toRadians(125.04 - 1934.136 * t);
+        const apparentLongitude = trueLongitude - 0.00569 - 0.00478 * Math.sin(omega);
+
+        const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+        const obliquity = this.toRadians(meanObliquity + 0.00256 * Math.cos(omega));
+
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(this.toRadians(apparentLongitude)));
+
+        const y = Math.pow(Math.tan(obliquity / 2), 2);
+        const longitudeRad = this.toRadians(meanLongitude);
+        const equationOfTime = 4 * this.toDegrees(
+            y * Math.sin(2 * longitudeRad) -
+            2 * eccentricity * Math.sin(anomalyRad) +
+            4 * eccentricity * y * Math.sin(anomalyRad) * Math.cos(2 * longitudeRad) -
+            0.5 * y * y * Math.sin(4 * longitudeRad) -
+            1.25 * eccentricity * eccentricity * Math.sin(2 * anomalyRad)
+        );
+
+        return {
+            declination: this.toDegrees(declination),
+            equationOfTime,
+            longitude: this.normalizeDegrees(apparentLongitude)
+        };
+    }
+
+    /**
+     * Get the exact instant of an equinox or solstice (Meeus, chapter 27)
+     * Valid for years 1000-3000, accurate to about a minute.
+     * @param {number} year - The year
+     * @param {string} season - 'march', 'june', 'september' or 'december'
+     * @returns {Date} - The instant (UTC)
+     */
+    getSeasonInstant(year, season) {
+        const y = (year - 2000) / 1000;
+        const coefficients = {
+            march: [2451623.80984, 365242.37404, 0.05169, -0.00411, -0.00057],
+            june: [2451716.56767, 365241.62603, 0.00325, 0.00888, -0.00030],
+            september: [2451810.21715, 365242.01767, -0.11575, 0.00337, 0.00078],
+            december: [2451900.05952, 365242.74049, -0.06223, -0.00823, 0.00032]
+        }[season];
+
+        if (!coefficients) {
+            throw new Error(`Unknown season: ${season}`);
+        }
+
+        const meanJDE = coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(y, power), 0);
+        const t = (meanJDE - 2451545) / 36525;
+        const w = this.toRadians(35999.373 * t - 2.47);
+        const deltaLambda = 1 + 0.0334 * Math.cos(w) + 0.0007 * Math.cos(2 * w);
+
+        const periodicSum = this.SEASON_TERMS.reduce((sum, [a, b, c]) =>
+            sum + a * Math.cos(this.toRadians(b + c * t)), 0);
+
+        const julianEphemerisDay = meanJDE + 0.00001 * periodicSum / deltaLambda;
+        const ms = (julianEphemerisDay - 2440587.5) * this.MS_PER_DAY - this.getDeltaT(year) * 1000;
+
+        return new Date(ms);
+    }
+
+    /**
+     * Approximate difference between Terrestrial Time and UT (Espenak & Meeus)
+     * @param {number} year - The year
+     * @returns {number} - Delta T in seconds
+     */
+    getDeltaT(year) {
+        const t = year - 2000;
+
+        if (year >= 2005 && year < 2050) {
+            return 62.92 + 0.32217 * t + 0.005589 * t * t;
+        }
+
+        const u = (year - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Convert radians to degrees
+     * @param {number} radians - Angle in radians
+     * @returns {number} - Angle in degrees
+     */
+    toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    /**
+     * Normalize an angle to the 0-360 range
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Normalized angle
+     */
+    normalizeDegrees(degrees) {
+        return ((degrees % 360) + 360) % 360;
+    }
+}
+
+// Export for use in other modules
+window.SolarCalculator = SolarCalculator;
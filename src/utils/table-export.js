@@ -0,0 +1,141 @@
+/**
+ * Table Export
+ * Flattens loaded twilight data into spreadsheet rows and serializes them as CSV or JSON.
+ * Every time is exported twice: formatted in the location's timezone and as an ISO instant.
+ */
+
+class TableExport {
+    constructor() {
+        // Twilight fields with a formatted local time and a matching `${field}ISO` instant
+        this.TIME_FIELDS = [
+            'astronomicalDawn', 'nauticalDawn', 'dawn',
+            'blueHourMorningStart', 'blueHourMorningEnd',
+            'goldenHourMorningStart', 'goldenHourMorningEnd',
+            'sunrise', 'solarNoon', 'sunset',
+            'goldenHourEveningStart', 'goldenHourEveningEnd',
+            'blueHourEveningStart', 'blueHourEveningEnd',
+            'dusk', 'nauticalDusk', 'astronomicalDusk',
+            'moonrise', 'moonset'
+        ];
+
+        // Other twilight fields, exported as they are (lengths in seconds, angles in degrees)
+        this.VALUE_FIELDS = [
+            'dayLength', 'dayLengthDelta', 'civilTwilightLength',
+            'maxElevation', 'sunriseAzimuth', 'sunsetAzimuth',
+            'lightState', 'moonPhaseName', 'moonIllumination', 'timezone'
+        ];
+    }
+
+    /**
+     * Column names for one set of twilight fields
+     * @param {string} prefix - Prepended to every column, e.g. 'mirror' gives mirrorSunrise
+     * @returns {Array<string>}
+     */
+    getTwilightColumns(prefix = '') {
+        const columns = [];
+
+        this.TIME_FIELDS.forEach(field => {
+            columns.push(this.prefixColumn(prefix, field), this.prefixColumn(prefix, `${field}ISO`));
+        });
+        this.VALUE_FIELDS.forEach(field => {
+            columns.push(this.prefixColumn(prefix, field));
+        });
+
+        return columns;
+    }
+
+    /**
+     * Flatten twilight data into row values (empty while not loaded)
+     * @param {Object|null} twilightData - From TwilightClient
+     * @param {string} prefix - Same prefix as getTwilightColumns
+     * @returns {Object} - { column: value }
+     */
+    getTwilightValues(twilightData, prefix = '') {
+        const data = twilightData && !twilightData.error ? twilightData : {};
+        const values = {};
+
+        this.getTwilightColumns().forEach(field => {
+            const value = data[field];
+            values[this.prefixColumn(prefix, field)] = value === undefined ? null : value;
+        });
+
+        return values;
+    }
+
+    /**
+     * Serialize rows as CSV (RFC 4180: CRLF line endings, quoted where needed)
+     * @param {Array<string>} columns - Column order
+     * @param {Array<Object>} rows - Row objects keyed by column
+     * @returns {string}
+     */
+    toCsv(columns, rows) {
+        const lines = [columns.map(column => this.escapeCsv(column)).join(',')];
+
+        rows.forEach(row => {
+            lines.push(columns.map(column => this.escapeCsv(row[column])).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Serialize rows as JSON with a description of what was exported
+     * @param {Object} meta - e.g. { view, location, month }
+     * @param {Array<string>} columns - Column order (keys of every row)
+     * @param {Array<Object>} rows - Row objects keyed by column
+     * @returns {string}
+     */
+    toJson(meta, columns, rows) {
+        const ordered = rows.map(row => {
+            const entry = {};
+            columns.forEach(column => {
+                entry[column] = row[column] === undefined ? null : row[column];
+            });
+            return entry;
+        });
+
+        return JSON.stringify({
+            ...meta,
+            exportedAt: new Date().toISOString(),
+            appVersion: window.APP_VERSION,
+            rows: ordered
+        }, null, 2);
+    }
+
+    /**
+     * Escape one CSV cell
+     * Text starting like a formula (place names can come from a shared link) gets a leading
+     * apostrophe so spreadsheets show it instead of running it; numbers such as -0.1278 stay numbers.
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Prefix a column name in camelCase
+     */
+    prefixColumn(prefix, field) {
+        return prefix ? prefix + field.charAt(0).toUpperCase() + field.slice(1) : field;
+    }
+
+    /**
+     * Format a local calendar date as YYYY-MM-DD
+     */
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+// Export for use in other modules
+window.TableExport = TableExport;
@@ -0,0 +1,199 @@
+/**
+ * URL State
+ * Reads and writes the shareable view state in the page's query string
+ * e.g. ?lat=51.5074&lng=-0.1278&name=London&m=2026-02&view=cities
+ */
+
+class UrlState {
+    constructor() {
+        this.VIEWS = ['symmetry', 'cities', 'mobileApp'];
+        this.MIRROR_MODES = ['solstice', 'equinox'];
+        this.LAYOUTS = ['month', 'year'];
+        this.TWILIGHT_TIERS = ['civil', 'nautical', 'astronomical'];
+        this.COMPARE_MODES = ['times', 'local', 'utc', 'match'];
+        this.MATCH_BY = ['dayLength', 'sunset'];
+
+        // Values left out of the URL to keep shared links short
+        this.DEFAULTS = {
+            view: 'symmetry',
+            golden: false,
+            moon: false,
+            mirror: 'solstice',
+            layout: 'month',
+            tiers: ['civil'],
+            compare: 'times',
+            match: 'dayLength'
+        };
+    }
+
+    /**
+     * Parse a query string into view state
+     * Only keys present (and valid) in the URL are returned.
+     * @param {string} search - Query string (with or without leading "?")
+     * @returns {Object} - Partial state: { location, month, view, golden, moon, mirror, layout, tiers, compare, match, cities }
+     */
+    parse(search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+
+        const lat = parseFloat(params.get('lat'));
+        const lng = parseFloat(params.get('lng'));
+        if (this.isValidCoordinate(lat, lng)) {
+            state.location = {
+                name: params.get('name') || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+                lat,
+                lng
+            };
+        }
+
+        const monthMatch = /^(\d{4})-(\d{2})$/.exec(params.get('m') || '');
+        if (monthMatch) {
+            const month = parseInt(monthMatch[2], 10);
+            if (month >= 1 && month <= 12) {
+                state.month = new Date(parseInt(monthMatch[1], 10), month - 1, 1);
+            }
+        }
+
+        if (this.VIEWS.includes(params.get('view'))) {
+            state.view = params.get('view');
+        }
+
+        if (params.has('golden')) {
+            state.golden = params.get('golden') === '1';
+        }
+
+        if (params.has('moon')) {
+            state.moon = params.get('moon') === '1';
+        }
+
+        if (this.MIRROR_MODES.includes(params.get('mirror'))) {
+            state.mirror = params.get('mirror');
+        }
+
+        if (this.LAYOUTS.includes(params.get('layout'))) {
+            state.layout = params.get('layout');
+        }
+
+        if (params.has('tiers')) {
+            state.tiers = this.parseTiers(params.get('tiers'));
+        }
+
+        if (this.COMPARE_MODES.includes(params.get('compare'))) {
+            state.compare = params.get('compare');
+        }
+
+        if (this.MATCH_BY.includes(params.get('match'))) {
+            state.match = params.get('match');
+        }
+
+        const cities = params.getAll('city')
+            .map(value => this.parseCity(value))
+            .filter(Boolean);
+        if (cities.length > 0) {
+            state.cities = cities;
+        }
+
+        return state;
+    }
+
+    /**
+     * Serialize view state into a query string
+     * @param {Object} state - { location, month, view, golden, moon, mirror, layout, tiers, compare, match, cities }
+     * @returns {string} - Query string without the leading "?"
+     */
+    serialize(state) {
+        const params = new URLSearchParams();
+
+        if (state.location) {
+            params.set('lat', state.location.lat.toFixed(4));
+            params.set('lng', state.location.lng.toFixed(4));
+            params.set('name', state.location.name);
+        }
+
+        if (state.month) {
+            const month = String(state.month.getMonth() + 1).padStart(2, '0');
+            params.set('m', `${state.month.getFullYear()}-${month}`);
+        }
+
+        if (state.view && state.view !== this.DEFAULTS.view) {
+            params.set('view', state.view);
+        }
+
+        if (state.golden) {
+            params.set('golden', '1');
+        }
+
+        if (state.moon) {
+            params.set('moon', '1');
+        }
+
+        if (state.mirror && state.mirror !== this.DEFAULTS.mirror) {
+            params.set('mirror', state.mirror);
+        }
+
+        if (state.layout && state.layout !== this.DEFAULTS.layout) {
+            params.set('layout', state.layout);
+        }
+
+        if (state.tiers && state.tiers.join(',') !== this.DEFAULTS.tiers.join(',')) {
+            params.set('tiers', state.tiers.join(','));
+        }
+
+        if (state.compare && state.compare !== this.DEFAULTS.compare) {
+            params.set('compare', state.compare);
+        }
+
+        if (state.match && state.match !== this.DEFAULTS.match) {
+            params.set('match', state.match);
+        }
+
+        (state.cities || []).filter(Boolean).forEach(city => {
+            params.append('city', `${city.lat.toFixed(4)},${city.lng.toFixed(4)},${city.name}`);
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * Parse a comma-separated list of twilight tiers
+     * @param {string} value - e.g. "civil,astronomical"
+     * @returns {Array<string>} - Valid tiers in canonical order
+     */
+    parseTiers(value) {
+        const requested = value.split(',').map(tier => tier.trim());
+        return this.TWILIGHT_TIERS.filter(tier => requested.includes(tier));
+    }
+
+    /**
+     * Parse a "lat,lng,name" city value
+     * @param {string} value - Encoded city
+     * @returns {Object|null} - City location or null if invalid
+     */
+    parseCity(value) {
+        const [latText, lngText, ...nameParts] = value.split(',');
+        const lat = parseFloat(latText);
+        const lng = parseFloat(lngText);
+
+        if (!this.isValidCoordinate(lat, lng)) return null;
+
+        return {
+            name: nameParts.join(',').trim() || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+            lat,
+            lng
+        };
+    }
+
+    /**
+     * Check that a latitude/longitude pair is usable
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {boolean} - True if both are finite and in range
+     */
+    isValidCoordinate(lat, lng) {
+        return Number.isFinite(lat) && Number.isFinite(lng) &&
+            lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+    }
+}
+
+// Export for use in other modules
+window.UrlState = UrlState;
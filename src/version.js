@@ -10,7 +10,8 @@
  * IMPORTANT: Update this version number before every push to GitHub!
  */
 
-const APP_VERSION = '1.0.3';
+const APP_VERSION = '1.25.2';
 
-// Export for use in other modules
-window.APP_VERSION = APP_VERSION;
+// Export for use in other modules. `self` is the window on pages and the
+// global scope in the service worker, which loads this file with importScripts.
+self.APP_VERSION = APP_VERSION;